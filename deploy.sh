@@ -50,6 +50,23 @@ if [ -z "${DATABASE_NAME:-}" ]; then
     exit 1
 fi
 
+# Cleanup of expired surveys runs on this cron schedule (default: hourly)
+CLEANUP_SCHEDULE="${CLEANUP_SCHEDULE:-0 * * * *}"
+
+# Rate limits as "<requests>/<seconds>" per client IP ("0" disables)
+RATE_LIMIT_CREATE_SURVEY="${RATE_LIMIT_CREATE_SURVEY:-10/3600}"
+RATE_LIMIT_SUBMIT_RESPONSE="${RATE_LIMIT_SUBMIT_RESPONSE:-60/600}"
+RATE_LIMIT_EDIT_RESPONSE="${RATE_LIMIT_EDIT_RESPONSE:-60/600}"
+RATE_LIMIT_REQUEST_CREDENTIAL="${RATE_LIMIT_REQUEST_CREDENTIAL:-60/600}"
+RATE_LIMIT_ANALYST_CHALLENGE="${RATE_LIMIT_ANALYST_CHALLENGE:-300/600}"
+
+# Salt for hashing client IPs (a fresh one per deploy unless set, which resets rate limit windows)
+RATE_LIMIT_SALT="${RATE_LIMIT_SALT:-$(head -c 32 /dev/urandom | od -An -tx1 | tr -d ' \n')}"
+
+# Secret for signing proof-of-work challenges (a fresh one per deploy unless set, which
+# makes challenges handed out before the deploy fail once and be reissued)
+POW_SECRET="${POW_SECRET:-$(head -c 32 /dev/urandom | od -An -tx1 | tr -d ' \n')}"
+
 # API base URLs
 API_BASE="https://api.cloudflare.com/client/v4"
 AUTH_HEADER="Authorization: Bearer $CLOUDFLARE_API_TOKEN"
@@ -228,6 +245,91 @@ if [ -f "schemas/002-add-analysis-id.sql" ]; then
     execute_sql_file "schemas/002-add-analysis-id.sql"
 fi
 
+# Run response keys migration
+if [ -f "schemas/003-add-response-keys.sql" ]; then
+    execute_sql_file "schemas/003-add-response-keys.sql"
+fi
+
+# Run analysis key hash migration
+if [ -f "schemas/004-add-analysis-key-hash.sql" ]; then
+    execute_sql_file "schemas/004-add-analysis-key-hash.sql"
+fi
+
+# Run challenge auth migration
+if [ -f "schemas/005-add-challenge-auth.sql" ]; then
+    execute_sql_file "schemas/005-add-challenge-auth.sql"
+fi
+
+# Run survey versions migration
+if [ -f "schemas/006-add-survey-versions.sql" ]; then
+    execute_sql_file "schemas/006-add-survey-versions.sql"
+fi
+
+# Run retention migration
+if [ -f "schemas/007-add-retention.sql" ]; then
+    execute_sql_file "schemas/007-add-retention.sql"
+fi
+
+# Run survey status migration
+if [ -f "schemas/008-add-survey-status.sql" ]; then
+    execute_sql_file "schemas/008-add-survey-status.sql"
+fi
+
+# Run cleanup runs migration
+if [ -f "schemas/009-add-cleanup-runs.sql" ]; then
+    execute_sql_file "schemas/009-add-cleanup-runs.sql"
+fi
+
+# Run rate limits migration
+if [ -f "schemas/010-add-rate-limits.sql" ]; then
+    execute_sql_file "schemas/010-add-rate-limits.sql"
+fi
+
+# Run proof-of-work migration
+if [ -f "schemas/011-add-proof-of-work.sql" ]; then
+    execute_sql_file "schemas/011-add-proof-of-work.sql"
+fi
+
+# Run invite tokens migration
+if [ -f "schemas/012-add-invite-tokens.sql" ]; then
+    execute_sql_file "schemas/012-add-invite-tokens.sql"
+fi
+
+# Run blind credentials migration
+if [ -f "schemas/013-add-blind-credentials.sql" ]; then
+    execute_sql_file "schemas/013-add-blind-credentials.sql"
+fi
+
+# Run response edit secrets migration
+if [ -f "schemas/014-add-response-edit-secrets.sql" ]; then
+    execute_sql_file "schemas/014-add-response-edit-secrets.sql"
+fi
+
+# Run response log migration
+if [ -f "schemas/015-add-response-log.sql" ]; then
+    execute_sql_file "schemas/015-add-response-log.sql"
+fi
+
+# Run response leaf index migration
+if [ -f "schemas/016-add-response-leaf-index.sql" ]; then
+    execute_sql_file "schemas/016-add-response-leaf-index.sql"
+fi
+
+# Run answer tags migration
+if [ -f "schemas/017-add-answer-tags.sql" ]; then
+    execute_sql_file "schemas/017-add-answer-tags.sql"
+fi
+
+# Run analyst notes migration
+if [ -f "schemas/018-add-analyst-notes.sql" ]; then
+    execute_sql_file "schemas/018-add-analyst-notes.sql"
+fi
+
+# Run challenge clients migration
+if [ -f "schemas/019-add-challenge-clients.sql" ]; then
+    execute_sql_file "schemas/019-add-challenge-clients.sql"
+fi
+
 echo "✓ Database migrations completed"
 echo ""
 
@@ -237,7 +339,10 @@ echo "► Deploying worker script '$WORKER_NAME'..."
 # Check if worker scripts exist
 WORKER_INDEX="src/worker/index.js"
 WORKER_DATABASE="src/worker/database.js"
+WORKER_MERKLE_LOG="src/worker/merkle-log.js"
 WORKER_ASSETS="src/worker/assets.js"
+SHARED_CRYPTO="src/shared/crypto.js"
+SHARED_PROOF_OF_WORK="src/shared/proof-of-work.js"
 
 if [ ! -f "$WORKER_INDEX" ]; then
     echo "❌ Worker script not found at $WORKER_INDEX"
@@ -249,34 +354,82 @@ if [ ! -f "$WORKER_DATABASE" ]; then
     exit 1
 fi
 
+if [ ! -f "$WORKER_MERKLE_LOG" ]; then
+    echo "❌ Response log module not found at $WORKER_MERKLE_LOG"
+    exit 1
+fi
+
 if [ ! -f "$WORKER_ASSETS" ]; then
     echo "❌ Assets module not found at $WORKER_ASSETS"
     exit 1
 fi
 
+if [ ! -f "$SHARED_CRYPTO" ] || [ ! -f "$SHARED_PROOF_OF_WORK" ]; then
+    echo "❌ Shared modules not found in src/shared"
+    exit 1
+fi
+
 # Create metadata JSON with D1 binding
 METADATA=$(cat <<EOF
 {
-  "main_module": "index.js",
+  "main_module": "worker/index.js",
   "compatibility_date": "2024-08-14",
   "bindings": [
     {
       "type": "d1",
       "name": "DB",
       "id": "$DB_ID"
+    },
+    {
+      "type": "plain_text",
+      "name": "RATE_LIMIT_CREATE_SURVEY",
+      "text": "$RATE_LIMIT_CREATE_SURVEY"
+    },
+    {
+      "type": "plain_text",
+      "name": "RATE_LIMIT_SUBMIT_RESPONSE",
+      "text": "$RATE_LIMIT_SUBMIT_RESPONSE"
+    },
+    {
+      "type": "plain_text",
+      "name": "RATE_LIMIT_EDIT_RESPONSE",
+      "text": "$RATE_LIMIT_EDIT_RESPONSE"
+    },
+    {
+      "type": "plain_text",
+      "name": "RATE_LIMIT_REQUEST_CREDENTIAL",
+      "text": "$RATE_LIMIT_REQUEST_CREDENTIAL"
+    },
+    {
+      "type": "plain_text",
+      "name": "RATE_LIMIT_ANALYST_CHALLENGE",
+      "text": "$RATE_LIMIT_ANALYST_CHALLENGE"
+    },
+    {
+      "type": "secret_text",
+      "name": "RATE_LIMIT_SALT",
+      "text": "$RATE_LIMIT_SALT"
+    },
+    {
+      "type": "secret_text",
+      "name": "POW_SECRET",
+      "text": "$POW_SECRET"
     }
   ]
 }
 EOF
 )
 
-# Upload worker with all modules
+# Upload worker with all modules, named as in src/ so that imports of ../shared/ resolve
 UPLOAD_RESPONSE=$(curl -s -X PUT "$API_BASE/accounts/$CLOUDFLARE_ACCOUNT_ID/workers/scripts/$WORKER_NAME" \
     -H "$AUTH_HEADER" \
     -F "metadata=@-;type=application/json" \
-    -F "index.js=@$WORKER_INDEX;type=application/javascript+module" \
-    -F "database.js=@$WORKER_DATABASE;type=application/javascript+module" \
-    -F "assets.js=@$WORKER_ASSETS;type=application/javascript+module" \
+    -F "worker/index.js=@$WORKER_INDEX;type=application/javascript+module" \
+    -F "worker/database.js=@$WORKER_DATABASE;type=application/javascript+module" \
+    -F "worker/merkle-log.js=@$WORKER_MERKLE_LOG;type=application/javascript+module" \
+    -F "worker/assets.js=@$WORKER_ASSETS;type=application/javascript+module" \
+    -F "shared/crypto.js=@$SHARED_CRYPTO;type=application/javascript+module" \
+    -F "shared/proof-of-work.js=@$SHARED_PROOF_OF_WORK;type=application/javascript+module" \
     <<< "$METADATA")
 
 if ! echo "$UPLOAD_RESPONSE" | jq -e '.success == true' > /dev/null 2>&1; then
@@ -285,10 +438,25 @@ if ! echo "$UPLOAD_RESPONSE" | jq -e '.success == true' > /dev/null 2>&1; then
     exit 1
 fi
 
-echo "✓ Worker script uploaded successfully (3 modules)"
+echo "✓ Worker script uploaded successfully"
+echo ""
+
+# Step 5: Schedule the expired survey cleanup (Cron Trigger)
+echo "► Scheduling cleanup ($CLEANUP_SCHEDULE)..."
+SCHEDULE_RESPONSE=$(curl -s -X PUT "$API_BASE/accounts/$CLOUDFLARE_ACCOUNT_ID/workers/scripts/$WORKER_NAME/schedules" \
+    -H "$AUTH_HEADER" \
+    -H "Content-Type: application/json" \
+    --data "[{\"cron\":\"$CLEANUP_SCHEDULE\"}]")
+
+if echo "$SCHEDULE_RESPONSE" | jq -e '.success == true' > /dev/null 2>&1; then
+    echo "✓ Cleanup scheduled"
+else
+    echo "⚠ Warning: Could not schedule cleanup - expired surveys will not be deleted"
+    echo "$SCHEDULE_RESPONSE" | jq -r '.errors[] | "Error \(.code): \(.message)"' 2>/dev/null || true
+fi
 echo ""
 
-# Step 5: Enable workers.dev subdomain
+# Step 6: Enable workers.dev subdomain
 echo "► Enabling workers.dev route..."
 SUBDOMAIN_RESPONSE=$(curl -s -X POST "$API_BASE/accounts/$CLOUDFLARE_ACCOUNT_ID/workers/scripts/$WORKER_NAME/subdomain" \
     -H "$AUTH_HEADER" \
@@ -303,7 +471,7 @@ else
 fi
 echo ""
 
-# Step 6: Get the deployment URL
+# Step 7: Get the deployment URL
 # Extract subdomain from account
 ACCOUNT_SUBDOMAIN=$(curl -s -X GET "$API_BASE/accounts/$CLOUDFLARE_ACCOUNT_ID/workers/subdomain" \
     -H "$AUTH_HEADER" | jq -r '.result.subdomain' 2>/dev/null)
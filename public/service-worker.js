@@ -0,0 +1,406 @@
+/**
+ * Service worker for respondents with unreliable connections
+ *
+ * Serves the survey page, shared modules and encrypted surveys from cache when
+ * the network is unavailable, and queues responses, changes and withdrawals
+ * that could not be sent. Responses are encrypted before they get here, so the
+ * cache and the queue only ever hold ciphertext. Each queued response keeps its
+ * id, so resending one that did arrive is harmless: the server answers with the
+ * stored response.
+ */
+
+const CACHE_NAME = 'encrypted-survey-v1';
+const QUEUE_DB_NAME = 'encrypted-survey-queue';
+const QUEUE_STORE_NAME = 'responses';
+const SYNC_TAG = 'send-queued-responses';
+
+// Everything the survey page loads besides the survey itself
+const APP_SHELL = [
+  '/survey.html',
+  '/src/shared/crypto.js',
+  '/src/shared/survey-parser.js',
+  '/src/shared/draft-store.js',
+  '/src/shared/blind-signature.js',
+  '/src/shared/merkle-log.js',
+  '/src/shared/proof-of-work.js',
+  '/src/shared/proof-of-work-worker.js'
+];
+
+const CDN_SCRIPTS = [
+  'https://cdnjs.cloudflare.com/ajax/libs/tweetnacl/1.0.2/nacl-fast.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/argon2-browser/1.18.0/argon2-bundled.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/ulid/2.3.0/index.min.js'
+];
+
+const SURVEY_PATH = /^\/api\/survey\/([a-zA-Z0-9]+)$/;
+const RESPONSE_PATH = /^\/api\/survey\/([a-zA-Z0-9]+)\/response$/;
+const OWN_RESPONSE_PATH = /^\/api\/survey\/([a-zA-Z0-9]+)\/response\/([a-zA-Z0-9]+)$/;
+
+// Nonces hashed concurrently per round when solving a proof of work
+const POW_BATCH_SIZE = 512;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+    // The page loads these without CORS, so they are cached as opaque responses
+    await Promise.all(CDN_SCRIPTS.map(async (url) => {
+      await cache.put(url, await fetch(url, { mode: 'no-cors' }));
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name !== CACHE_NAME) {
+        await caches.delete(name);
+      }
+    }
+    await self.clients.claim();
+    await sendQueuedResponses();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    const isSubmit = request.method === 'POST' && RESPONSE_PATH.test(url.pathname);
+    const isChange = ['PUT', 'DELETE'].includes(request.method) && OWN_RESPONSE_PATH.test(url.pathname);
+    if (isSubmit || isChange) {
+      event.respondWith(submitOrQueue(request));
+      return;
+    }
+  }
+
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  // Every survey link is the same page
+  if (request.mode === 'navigate' && url.pathname.startsWith('/survey/')) {
+    event.respondWith(networkFirst(request, '/survey.html'));
+    return;
+  }
+
+  const isAppFile = url.origin === self.location.origin &&
+    (APP_SHELL.includes(url.pathname) || SURVEY_PATH.test(url.pathname));
+  if (isAppFile || CDN_SCRIPTS.includes(request.url)) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// The survey page asks for its survey to be cached, for the queue to be retried when it comes
+// online, and reports rejections it has shown so they can be dropped from the queue
+self.addEventListener('message', (event) => {
+  const { type, surveyId, queueId } = event.data || {};
+
+  if (type === 'cache-survey') {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.add(`/api/survey/${surveyId}`)).catch(() => {}));
+  } else if (type === 'send-queued-responses') {
+    event.waitUntil(sendQueuedResponses());
+  } else if (type === 'rejection-seen') {
+    event.waitUntil(withQueue('readwrite', store => store.delete(queueId)));
+  }
+});
+
+// Background Sync, where the browser supports it, retries even with no survey page open
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(sendQueuedResponses().then((pending) => {
+      if (pending > 0) {
+        throw new Error('Responses still queued');
+      }
+    }));
+  }
+});
+
+/**
+ * Fetch from the network and refresh the cache, falling back to the cache when offline
+ */
+async function networkFirst(request, cacheKey = request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Send a response, change or withdrawal, or queue it if the network is unavailable
+ * A queued request is answered with 202 and { queued: true }. Responses are queued
+ * under their id; changes and withdrawals under the method and response id, so a
+ * later change replaces an earlier queued one.
+ */
+async function submitOrQueue(request) {
+  const body = await request.clone().text();
+
+  // A response withdrawn before it was sent is dropped from the queue, so it never arrives
+  if (request.method === 'DELETE') {
+    const withdrawn = await withdrawQueued(new URL(request.url).pathname.match(OWN_RESPONSE_PATH)[2]);
+    if (withdrawn) {
+      return withdrawn;
+    }
+  }
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const { method } = request;
+    const path = new URL(request.url).pathname;
+    let surveyId, responseId;
+    if (method === 'POST') {
+      surveyId = path.match(RESPONSE_PATH)[1];
+      responseId = JSON.parse(body).encryptedResponse.id;
+    } else {
+      [, surveyId, responseId] = path.match(OWN_RESPONSE_PATH);
+    }
+
+    await withQueue('readwrite', store => store.put({
+      id: method === 'POST' ? responseId : `${method} ${responseId}`,
+      responseId,
+      surveyId,
+      method,
+      url: request.url,
+      body,
+      queuedAt: Date.now()
+    }));
+
+    if (self.registration.sync) {
+      await self.registration.sync.register(SYNC_TAG).catch(() => {});
+    }
+    await notifyClients({ type: 'queue-status', pending: await getQueuedSurveyIds() });
+
+    return new Response(JSON.stringify({
+      success: true,
+      data: { id: responseId, queued: true }
+    }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+let sending = null;
+
+/**
+ * Send queued requests in the order they were queued, resolving to how many are left
+ * Network errors, rate limits and server errors leave the rest queued for the next try.
+ * Any other answer is final: a rejected request stays in the queue, marked, until an
+ * open survey page has reported it, so it is not lost when no page is open.
+ */
+function sendQueuedResponses() {
+  if (!sending) {
+    sending = sendQueue().finally(() => {
+      sending = null;
+    });
+  }
+  return sending;
+}
+
+async function sendQueue() {
+  const queued = await withQueue('readonly', store => store.getAll());
+  queued.sort((a, b) => a.queuedAt - b.queuedAt);
+
+  for (const item of queued) {
+    const method = item.method || 'POST';
+
+    if (item.rejected) {
+      await notifyRejected(item);
+      continue;
+    }
+
+    // Skip anything withdrawn from the queue since it was read
+    if (!await withQueue('readonly', store => store.getKey(item.id))) {
+      continue;
+    }
+
+    let response;
+    try {
+      response = await sendItem(item);
+    } catch (error) {
+      break;
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+      break;
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    // A withdrawn response that is already gone needs nothing more, unless it is still queued
+    if (method === 'DELETE' && response.status === 404 && await hasQueuedResponse(item.responseId)) {
+      break;
+    }
+
+    if (result.success || (method === 'DELETE' && response.status === 404)) {
+      await withQueue('readwrite', store => store.delete(item.id));
+      await notifyClients({
+        type: 'response-delivered',
+        surveyId: item.surveyId,
+        id: item.responseId || item.id,
+        method,
+        encryptedAnswers: JSON.parse(item.body).encryptedResponse?.encryptedAnswers,
+        receipt: result.data?.receipt
+      });
+    } else {
+      item.rejected = result.error || `Server answered ${response.status}`;
+      await withQueue('readwrite', store => store.put(item));
+      await notifyRejected(item);
+    }
+  }
+
+  const pending = await getQueuedSurveyIds();
+  await notifyClients({ type: 'queue-status', pending });
+  return pending.length;
+}
+
+/**
+ * Send a queued request
+ * A proof-of-work challenge is single use and expires, and the one the page had may have
+ * been cached or spent by an earlier response, so a fresh one is fetched and solved for
+ * each queued response.
+ */
+async function sendItem(item) {
+  const body = JSON.parse(item.body);
+
+  if (body.encryptedResponse?.proofOfWork) {
+    const response = await fetch(`/api/survey/${item.surveyId}`, { cache: 'no-store' });
+    const result = await response.json().catch(() => ({}));
+    if (result.success && result.data.powChallenge) {
+      const { powChallenge, powDifficulty } = result.data;
+      body.encryptedResponse.proofOfWork = {
+        challenge: powChallenge,
+        nonce: await solveProofOfWork(powChallenge, powDifficulty)
+      };
+    }
+  }
+
+  return fetch(item.url, {
+    method: item.method || 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * Remove a response that is still waiting to be sent, and any queued change to it
+ * Resolves to the answer for the withdrawal, or null if the response is not queued.
+ */
+async function withdrawQueued(responseId) {
+  // A response being sent right now may arrive; wait for that before looking
+  await sending;
+
+  if (!await hasQueuedResponse(responseId)) {
+    return null;
+  }
+
+  await withQueue('readwrite', (store) => {
+    store.delete(`PUT ${responseId}`);
+    return store.delete(responseId);
+  });
+  await notifyClients({ type: 'queue-status', pending: await getQueuedSurveyIds() });
+
+  return new Response(JSON.stringify({
+    success: true,
+    data: { withdrawn: true, unsent: true }
+  }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Whether a response is queued and not yet rejected
+async function hasQueuedResponse(responseId) {
+  const item = await withQueue('readonly', store => store.get(responseId));
+  return Boolean(item && !item.rejected);
+}
+
+async function notifyRejected(item) {
+  await notifyClients({
+    type: 'response-rejected',
+    surveyId: item.surveyId,
+    id: item.responseId || item.id,
+    queueId: item.id,
+    method: item.method || 'POST',
+    error: item.rejected
+  });
+}
+
+// Survey id of every request still to be sent (one entry per request)
+async function getQueuedSurveyIds() {
+  const queued = await withQueue('readonly', store => store.getAll());
+  return queued.filter(item => !item.rejected).map(item => item.surveyId);
+}
+
+// The proof-of-work search of src/shared/proof-of-work.js, which this classic
+// script cannot import
+async function solveProofOfWork(challenge, difficulty) {
+  const encoder = new TextEncoder();
+  for (let start = 0; ; start += POW_BATCH_SIZE) {
+    const nonces = Array.from({ length: POW_BATCH_SIZE }, (_, i) => start + i);
+    const hashes = await Promise.all(nonces.map(async nonce => new Uint8Array(
+      await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`))
+    )));
+
+    const index = hashes.findIndex(hash => countLeadingZeroBits(hash) >= difficulty);
+    if (index !== -1) {
+      return String(nonces[index]);
+    }
+  }
+}
+
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(QUEUE_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(QUEUE_STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the queue store and resolve with its result
+async function withQueue(mode, operation) {
+  const db = await openQueue();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(QUEUE_STORE_NAME, mode);
+      const request = operation(transaction.objectStore(QUEUE_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,9 @@
+-- Add public-key response encryption
+-- Responses are sealed to a per-survey keypair; the secret key (together with
+-- the survey key) is wrapped under a separate analysis password
+
+ALTER TABLE surveys ADD COLUMN analysis_salt BLOB;   -- 16-byte salt for the analysis password
+ALTER TABLE surveys ADD COLUMN wrapped_keys BLOB;    -- Survey key + response secret key, encrypted under the analysis key
+
+-- Existing surveys keep both columns NULL and continue to use the shared
+-- survey key for responses
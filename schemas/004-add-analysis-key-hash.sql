@@ -0,0 +1,7 @@
+-- Separate analyst role from respondents
+-- creator_key_hash now only identifies the survey (respondent) key; analysis
+-- endpoints verify analysis_key_hash instead
+
+ALTER TABLE surveys ADD COLUMN analysis_key_hash TEXT; -- Hash of the analysis key for analyst authorization
+
+-- Existing surveys keep analysis_key_hash NULL and fall back to creator_key_hash
@@ -0,0 +1,18 @@
+-- Replace keyHash query-string authorization with signed challenges
+-- Analysts sign a one-time server nonce with an Ed25519 key derived from the
+-- analysis key; the server stores only the public verification key
+
+ALTER TABLE surveys ADD COLUMN analysis_verify_key TEXT; -- Hex Ed25519 public key for analyst signatures
+
+CREATE TABLE auth_challenges (
+    challenge TEXT PRIMARY KEY,    -- Random hex nonce
+    survey_id TEXT NOT NULL,       -- Survey the challenge was issued for
+    expires_at INTEGER NOT NULL,   -- Unix timestamp; unused challenges are discarded after this
+    FOREIGN KEY (survey_id) REFERENCES surveys(id)
+);
+
+CREATE INDEX idx_auth_challenges_survey_id ON auth_challenges(survey_id);
+CREATE INDEX idx_auth_challenges_expires_at ON auth_challenges(expires_at);
+
+-- Existing surveys have no verification key yet; the analysis page registers
+-- one on first access using the old key hash, which is then cleared
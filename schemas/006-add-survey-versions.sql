@@ -0,0 +1,19 @@
+-- Versioned survey definitions for in-browser editing
+-- Every edit stores a new encrypted definition; responses record the version
+-- they answered so analysis can map answers across edits
+
+ALTER TABLE surveys ADD COLUMN schema_version INTEGER NOT NULL DEFAULT 1;   -- Current definition version
+ALTER TABLE responses ADD COLUMN schema_version INTEGER NOT NULL DEFAULT 1; -- Version the respondent answered
+
+CREATE TABLE survey_versions (
+    survey_id TEXT NOT NULL,       -- Reference to survey
+    version INTEGER NOT NULL,      -- 1 for the original definition, +1 per edit
+    questions BLOB NOT NULL,       -- Encrypted survey definition of this version
+    created_at INTEGER NOT NULL,   -- Unix timestamp
+    PRIMARY KEY (survey_id, version),
+    FOREIGN KEY (survey_id) REFERENCES surveys(id)
+);
+
+-- Existing surveys start at version 1 (OR IGNORE: deploy.sh reruns every migration)
+INSERT OR IGNORE INTO survey_versions (survey_id, version, questions, created_at)
+SELECT id, 1, questions, created_at FROM surveys;
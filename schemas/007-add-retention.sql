@@ -0,0 +1,8 @@
+-- Configurable data retention, separate from the survey's closing date
+-- Cleanup deletes a survey and its responses once
+--   COALESCE(expires_at, created_at) + retention_days
+-- has passed, so data is never removed while a survey is still open
+
+ALTER TABLE surveys ADD COLUMN retention_days INTEGER; -- Days to keep data after closing (NULL = 30)
+
+CREATE INDEX idx_surveys_expires_at ON surveys(expires_at);
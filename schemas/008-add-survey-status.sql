@@ -0,0 +1,4 @@
+-- Lifecycle status so creators can stop accepting responses without deleting data
+-- open: accepting responses, paused: temporarily not accepting, closed: not accepting
+
+ALTER TABLE surveys ADD COLUMN status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'paused', 'closed'));
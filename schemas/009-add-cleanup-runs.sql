@@ -0,0 +1,14 @@
+-- Record of scheduled cleanup runs
+-- The cron-triggered cleanup writes one row per run so its last run and what
+-- it purged survive worker restarts
+
+CREATE TABLE cleanup_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at INTEGER NOT NULL,
+    finished_at INTEGER NOT NULL,
+    deleted_surveys INTEGER NOT NULL DEFAULT 0,
+    deleted_responses INTEGER NOT NULL DEFAULT 0,
+    error TEXT -- NULL when the run succeeded
+);
+
+CREATE INDEX idx_cleanup_runs_started_at ON cleanup_runs(started_at);
@@ -0,0 +1,12 @@
+-- Sliding window rate limiting for anonymous endpoints
+-- Each row is one counted request. The key combines the route, the survey id
+-- (where relevant) and a salted hash of the client IP, so raw IPs are never stored.
+-- Rows are pruned by the scheduled cleanup once they fall outside every window.
+
+CREATE TABLE rate_limit_hits (
+    key TEXT NOT NULL,
+    hit_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_rate_limit_hits_key ON rate_limit_hits(key, hit_at);
+CREATE INDEX idx_rate_limit_hits_hit_at ON rate_limit_hits(hit_at);
@@ -0,0 +1,15 @@
+-- Optional proof-of-work requirement for submitting responses
+-- pow_difficulty is the number of leading zero bits required (0 = disabled).
+-- Used challenges are kept until they expire so a solution cannot be replayed.
+
+ALTER TABLE surveys ADD COLUMN pow_difficulty INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE used_pow_challenges (
+    challenge TEXT PRIMARY KEY,
+    survey_id TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    FOREIGN KEY (survey_id) REFERENCES surveys(id)
+);
+
+CREATE INDEX idx_used_pow_challenges_expires_at ON used_pow_challenges(expires_at);
+CREATE INDEX idx_used_pow_challenges_survey_id ON used_pow_challenges(survey_id);
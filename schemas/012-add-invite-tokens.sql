@@ -0,0 +1,14 @@
+-- Single-use invite tokens for closed-audience surveys
+-- Only SHA-256 hashes of the tokens are stored. A token is marked used when a
+-- response is submitted with it, but nothing records which response or when,
+-- so the stored answers stay unlinked from invitees.
+-- A survey with any invite tokens only accepts responses that carry one.
+
+CREATE TABLE invite_tokens (
+    token_hash TEXT PRIMARY KEY,
+    survey_id TEXT NOT NULL,
+    used INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (survey_id) REFERENCES surveys(id)
+);
+
+CREATE INDEX idx_invite_tokens_survey_id ON invite_tokens(survey_id);
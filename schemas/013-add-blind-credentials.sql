@@ -0,0 +1,27 @@
+-- Anonymous credentials via RSA blind signatures
+-- The creator's RSA public key is stored in the clear (JWK) and the private key
+-- encrypted with the analysis key. An invitee spends an invite token to file a
+-- blinded credential for the creator to sign, then submits a response with the
+-- unblinded credential and signature. Spent credentials are recorded by hash so
+-- each can be used once, and nothing links them to the invite or request.
+
+ALTER TABLE surveys ADD COLUMN blind_public_key TEXT; -- JWK, NULL when credentials are off
+ALTER TABLE surveys ADD COLUMN blind_private_key BLOB; -- Encrypted with the analysis key
+
+CREATE TABLE credential_requests (
+    id TEXT PRIMARY KEY, -- Random, known only to the requesting browser
+    survey_id TEXT NOT NULL,
+    blinded TEXT NOT NULL,
+    blind_signature TEXT, -- NULL until the creator signs
+    FOREIGN KEY (survey_id) REFERENCES surveys(id)
+);
+
+CREATE INDEX idx_credential_requests_survey_id ON credential_requests(survey_id);
+
+CREATE TABLE spent_credentials (
+    credential_hash TEXT PRIMARY KEY,
+    survey_id TEXT NOT NULL,
+    FOREIGN KEY (survey_id) REFERENCES surveys(id)
+);
+
+CREATE INDEX idx_spent_credentials_survey_id ON spent_credentials(survey_id);
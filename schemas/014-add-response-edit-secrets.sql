@@ -0,0 +1,6 @@
+-- Respondents can replace or withdraw their own response
+-- The respondent's browser keeps a random edit secret as a receipt; only its
+-- SHA-256 hash is stored with the response. Responses submitted before this
+-- migration (or without a secret) cannot be edited.
+
+ALTER TABLE responses ADD COLUMN edit_secret_hash TEXT;
@@ -0,0 +1,26 @@
+-- Append-only Merkle log of response ciphertext hashes, per survey
+-- log_nodes holds the roots of perfect subtrees: (0, i) is leaf i and
+-- (level, index) covers leaves [index * 2^level, (index + 1) * 2^level).
+-- Every tree head is signed with the survey's ECDSA P-256 log key (JWK).
+-- Replacing a response appends a new leaf; withdrawing one leaves its leaf in place.
+
+ALTER TABLE surveys ADD COLUMN log_public_key TEXT;
+ALTER TABLE surveys ADD COLUMN log_private_key TEXT;
+
+CREATE TABLE log_nodes (
+    survey_id TEXT NOT NULL,
+    level INTEGER NOT NULL,
+    node_index INTEGER NOT NULL,
+    hash TEXT NOT NULL,
+    PRIMARY KEY (survey_id, level, node_index),
+    FOREIGN KEY (survey_id) REFERENCES surveys(id)
+);
+
+CREATE TABLE log_tree_heads (
+    survey_id TEXT NOT NULL,
+    tree_size INTEGER NOT NULL,
+    root_hash TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    PRIMARY KEY (survey_id, tree_size),
+    FOREIGN KEY (survey_id) REFERENCES surveys(id)
+);
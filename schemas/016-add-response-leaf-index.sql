@@ -0,0 +1,4 @@
+-- Remember which response log leaf holds each response's current answers,
+-- so a resent response (e.g. from an offline queue) can get its receipt again
+
+ALTER TABLE responses ADD COLUMN log_leaf_index INTEGER;
@@ -0,0 +1,7 @@
+-- Qualitative codes (tags) on text answers, shared by everyone analyzing a survey
+-- All of a survey's tags are one blob encrypted with the analysis key.
+-- tags_version counts saves, so a save made from an outdated copy is rejected
+-- instead of silently overwriting someone else's coding.
+
+ALTER TABLE surveys ADD COLUMN answer_tags BLOB; -- Encrypted with the analysis key, NULL until first saved
+ALTER TABLE surveys ADD COLUMN tags_version INTEGER NOT NULL DEFAULT 0;
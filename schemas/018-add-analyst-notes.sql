@@ -0,0 +1,17 @@
+-- Shared notes for everyone analyzing a survey: plain-text notes, pinned
+-- responses and saved filters. Each note is encrypted in the browser with the
+-- analysis key, so the server sees neither its kind nor its contents.
+-- version counts saves of a note; an update or delete made from an older
+-- version is rejected so two analysts cannot overwrite each other.
+
+CREATE TABLE analyst_notes (
+    id TEXT PRIMARY KEY,
+    survey_id TEXT NOT NULL,
+    data BLOB NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    FOREIGN KEY (survey_id) REFERENCES surveys(id)
+);
+
+CREATE INDEX idx_analyst_notes_survey_id ON analyst_notes(survey_id);
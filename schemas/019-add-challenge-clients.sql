@@ -0,0 +1,8 @@
+-- Cap open analyst challenges per client instead of per survey
+-- client_hash is the same salted IP hash the rate limits use, so one client
+-- that knows an analysis id cannot use up the challenges of every analyst.
+-- Challenges issued before this migration have no client and expire within minutes.
+
+ALTER TABLE auth_challenges ADD COLUMN client_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_auth_challenges_client ON auth_challenges(survey_id, client_hash);
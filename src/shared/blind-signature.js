@@ -0,0 +1,169 @@
+/**
+ * RSA blind signatures for anonymous one-person-one-vote credentials
+ *
+ * The survey creator holds an RSA key. An invitee picks a random credential,
+ * blinds it with a random factor r and has the creator sign the blinded value.
+ * After unblinding, the invitee holds an ordinary RSASSA-PKCS1-v1_5 (SHA-256)
+ * signature on a credential the creator never saw, which the server verifies
+ * with WebCrypto when the response is submitted.
+ *
+ * Blinding works on the deterministic PKCS#1 v1.5 encoding of the credential:
+ *   blinded = EM(credential) * r^e mod n
+ *   blindSignature = blinded^d mod n
+ *   signature = blindSignature * r^-1 mod n = EM(credential)^d mod n
+ */
+
+// Key parameters for WebCrypto
+export const BLIND_KEY_ALGORITHM = {
+  name: 'RSASSA-PKCS1-v1_5',
+  modulusLength: 2048,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256'
+};
+
+// DER prefix of the DigestInfo for SHA-256 (RFC 8017, section 9.2)
+const SHA256_DIGEST_INFO = [
+  0x30, 0x31, 0x30, 0x0d, 0x06, 0x09, 0x60, 0x86, 0x48, 0x01,
+  0x65, 0x03, 0x04, 0x02, 0x01, 0x05, 0x00, 0x04, 0x20
+];
+
+function base64UrlToBigInt(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  let hex = '';
+  for (let i = 0; i < binary.length; i++) {
+    hex += binary.charCodeAt(i).toString(16).padStart(2, '0');
+  }
+  return BigInt('0x' + hex);
+}
+
+function bytesToBigInt(bytes) {
+  let hex = '';
+  for (const byte of bytes) {
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return BigInt('0x' + (hex || '0'));
+}
+
+function bigIntToHex(value, byteLength) {
+  return value.toString(16).padStart(byteLength * 2, '0');
+}
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = (result * base) % modulus;
+    }
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+function modInverse(value, modulus) {
+  let [oldR, r] = [value % modulus, modulus];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+  if (oldR !== 1n) {
+    return null;
+  }
+  return ((oldS % modulus) + modulus) % modulus;
+}
+
+function readPublicKey(publicJwk) {
+  const n = base64UrlToBigInt(publicJwk.n);
+  return { n, e: base64UrlToBigInt(publicJwk.e), byteLength: Math.ceil(n.toString(16).length / 2) };
+}
+
+/**
+ * EMSA-PKCS1-v1_5 encoding of SHA-256(message), as an integer
+ */
+async function encodeMessage(message, byteLength) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', message));
+  const digestInfo = [...SHA256_DIGEST_INFO, ...digest];
+  const padding = new Array(byteLength - digestInfo.length - 3).fill(0xff);
+  return bytesToBigInt([0x00, 0x01, ...padding, 0x00, ...digestInfo]);
+}
+
+/**
+ * Generate the creator's signing key, returning both halves as JWK
+ */
+export async function generateBlindSigningKey() {
+  const keyPair = await crypto.subtle.generateKey(BLIND_KEY_ALGORITHM, true, ['sign', 'verify']);
+  return {
+    publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+  };
+}
+
+/**
+ * Pick a random credential and blind it for signing
+ * Returns hex strings: the credential and blinding factor (keep both secret)
+ * and the blinded value to send for signing
+ */
+export async function blindCredential(publicJwk) {
+  const { n, e, byteLength } = readPublicKey(publicJwk);
+  const credential = crypto.getRandomValues(new Uint8Array(32));
+
+  let r;
+  do {
+    r = bytesToBigInt(crypto.getRandomValues(new Uint8Array(byteLength))) % n;
+  } while (r < 2n || modInverse(r, n) === null);
+
+  const encoded = await encodeMessage(credential, byteLength);
+  const blinded = (encoded * modPow(r, e, n)) % n;
+
+  return {
+    credential: bigIntToHex(bytesToBigInt(credential), 32),
+    blindingFactor: bigIntToHex(r, byteLength),
+    blinded: bigIntToHex(blinded, byteLength)
+  };
+}
+
+/**
+ * Sign a blinded value with the creator's private key
+ */
+export function signBlinded(privateJwk, blinded) {
+  const n = base64UrlToBigInt(privateJwk.n);
+  const d = base64UrlToBigInt(privateJwk.d);
+  const byteLength = Math.ceil(n.toString(16).length / 2);
+  const value = BigInt('0x' + blinded);
+
+  if (value >= n) {
+    throw new Error('Blinded value out of range');
+  }
+
+  return bigIntToHex(modPow(value, d, n), byteLength);
+}
+
+/**
+ * Remove the blinding factor, giving a standard signature on the credential
+ */
+export function unblindSignature(publicJwk, blindSignature, blindingFactor) {
+  const { n, byteLength } = readPublicKey(publicJwk);
+  const rInverse = modInverse(BigInt('0x' + blindingFactor), n);
+  const signature = (BigInt('0x' + blindSignature) * rInverse) % n;
+  return bigIntToHex(signature, byteLength);
+}
+
+/**
+ * Check a credential signature with WebCrypto (as the server does)
+ */
+export async function verifyCredential(publicJwk, credential, signature) {
+  const key = await crypto.subtle.importKey('jwk', publicJwk, BLIND_KEY_ALGORITHM, false, ['verify']);
+  return crypto.subtle.verify(BLIND_KEY_ALGORITHM.name, key, hexToBytes(signature), hexToBytes(credential));
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
@@ -0,0 +1,210 @@
+/**
+ * SVG charts for the analysis page
+ *
+ * Charts are drawn in the browser from decrypted answers without a chart
+ * library, so no plaintext is handed to third-party code.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export const CHART_COLORS = ['#7dcd85', '#ed8936', '#667eea', '#f6ad55', '#4fd1c5', '#fc8181', '#b794f4', '#a0aec0'];
+
+const BAR_HEIGHT = 28;
+const BAR_GAP = 8;
+const LABEL_WIDTH = 180;
+const CHART_WIDTH = 600;
+const MAX_LABEL_LENGTH = 20;
+
+function svgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+// Hovering a shape shows its full label and value
+function addTitle(element, text) {
+  const title = svgElement('title');
+  title.textContent = text;
+  element.appendChild(title);
+}
+
+function shorten(label) {
+  return label.length > MAX_LABEL_LENGTH ? label.slice(0, MAX_LABEL_LENGTH - 1) + '…' : label;
+}
+
+function formatPercent(count, total) {
+  return total ? ((count / total) * 100).toFixed(1) + '%' : '0.0%';
+}
+
+/**
+ * Pie chart with a legend: slices are { label, count }
+ * Slices share out `total`, which defaults to the sum of their counts.
+ */
+export function pieChart(slices, total = slices.reduce((sum, slice) => sum + slice.count, 0)) {
+  const size = 160;
+  const radius = size / 2;
+
+  const chart = document.createElement('div');
+  chart.className = 'chart pie-chart';
+
+  const svg = svgElement('svg', { viewBox: `0 0 ${size} ${size}`, width: size, height: size, role: 'img' });
+  let angle = -Math.PI / 2;
+
+  slices.forEach((slice, i) => {
+    if (slice.count === 0) {
+      return;
+    }
+    const color = CHART_COLORS[i % CHART_COLORS.length];
+    let shape;
+
+    // A single slice covering everything cannot be drawn as an arc
+    if (slice.count === total) {
+      shape = svgElement('circle', { cx: radius, cy: radius, r: radius, fill: color });
+    } else {
+      const sweep = (slice.count / total) * 2 * Math.PI;
+      const start = [radius + radius * Math.cos(angle), radius + radius * Math.sin(angle)];
+      angle += sweep;
+      const end = [radius + radius * Math.cos(angle), radius + radius * Math.sin(angle)];
+      shape = svgElement('path', {
+        d: `M ${radius} ${radius} L ${start[0]} ${start[1]} A ${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${end[0]} ${end[1]} Z`,
+        fill: color
+      });
+    }
+
+    addTitle(shape, `${slice.label}: ${slice.count} (${formatPercent(slice.count, total)})`);
+    svg.appendChild(shape);
+  });
+
+  const legend = document.createElement('ul');
+  legend.className = 'chart-legend';
+  slices.forEach((slice, i) => {
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'chart-swatch';
+    swatch.style.background = CHART_COLORS[i % CHART_COLORS.length];
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(`${slice.label} — ${slice.count} (${formatPercent(slice.count, total)})`));
+    legend.appendChild(item);
+  });
+
+  chart.appendChild(svg);
+  chart.appendChild(legend);
+  return chart;
+}
+
+/**
+ * Horizontal bar chart: bars are { label, count }
+ * Bar lengths and percentages are relative to `total` (e.g. respondents,
+ * when each may pick several bars).
+ */
+export function barChart(bars, total) {
+  const height = bars.length * (BAR_HEIGHT + BAR_GAP) - BAR_GAP;
+  const barArea = CHART_WIDTH - LABEL_WIDTH;
+
+  const chart = document.createElement('div');
+  chart.className = 'chart bar-chart';
+
+  const svg = svgElement('svg', {
+    viewBox: `0 0 ${CHART_WIDTH} ${height}`,
+    width: '100%',
+    preserveAspectRatio: 'xMinYMin meet',
+    role: 'img'
+  });
+
+  bars.forEach((bar, i) => {
+    const y = i * (BAR_HEIGHT + BAR_GAP);
+    const share = total ? bar.count / total : 0;
+    const summary = `${bar.label}: ${bar.count} (${formatPercent(bar.count, total)})`;
+
+    const row = svgElement('g');
+    addTitle(row, summary);
+
+    const label = svgElement('text', { x: 0, y: y + BAR_HEIGHT / 2, 'dominant-baseline': 'middle', class: 'chart-label' });
+    label.textContent = `${shorten(bar.label)} — ${bar.count}`;
+
+    const track = svgElement('rect', { x: LABEL_WIDTH, y, width: barArea, height: BAR_HEIGHT, rx: 6, fill: '#bac7be' });
+    const fill = svgElement('rect', {
+      x: LABEL_WIDTH,
+      y,
+      width: barArea * share,
+      height: BAR_HEIGHT,
+      rx: 6,
+      fill: CHART_COLORS[0]
+    });
+
+    const value = svgElement('text', {
+      x: LABEL_WIDTH + 8,
+      y: y + BAR_HEIGHT / 2,
+      'dominant-baseline': 'middle',
+      class: 'chart-value'
+    });
+    value.textContent = formatPercent(bar.count, total);
+
+    row.appendChild(label);
+    row.appendChild(track);
+    row.appendChild(fill);
+    row.appendChild(value);
+    svg.appendChild(row);
+  });
+
+  chart.appendChild(svg);
+  return chart;
+}
+
+/**
+ * Vertical column chart, e.g. a histogram over time: columns are { label, count }
+ * Only every few labels are printed under the axis so they do not overlap;
+ * hovering a column shows its own.
+ */
+export function columnChart(columns) {
+  const plotHeight = 160;
+  const axisWidth = 40;
+  const slot = (CHART_WIDTH - axisWidth) / columns.length;
+  const gap = Math.min(2, slot * 0.1);
+  const max = Math.max(1, ...columns.map(column => column.count));
+  const labelEvery = Math.ceil(columns.length / 4);
+
+  const chart = document.createElement('div');
+  chart.className = 'chart column-chart';
+
+  const svg = svgElement('svg', {
+    viewBox: `0 0 ${CHART_WIDTH} ${plotHeight + 24}`,
+    width: '100%',
+    preserveAspectRatio: 'xMinYMin meet',
+    role: 'img'
+  });
+
+  [[max, 8], [0, plotHeight]].forEach(([value, y]) => {
+    const tick = svgElement('text', { x: axisWidth - 6, y, 'text-anchor': 'end', 'dominant-baseline': 'middle', class: 'chart-axis' });
+    tick.textContent = value;
+    svg.appendChild(tick);
+  });
+  svg.appendChild(svgElement('line', { x1: axisWidth, y1: plotHeight, x2: CHART_WIDTH, y2: plotHeight, stroke: '#a0aec0' }));
+
+  columns.forEach((column, i) => {
+    const x = axisWidth + i * slot;
+    const columnHeight = (column.count / max) * (plotHeight - 8);
+
+    const group = svgElement('g');
+    addTitle(group, `${column.label}: ${column.count}`);
+    // Covers the whole slot so empty and short columns can be hovered too
+    group.appendChild(svgElement('rect', { x, y: 0, width: slot, height: plotHeight, fill: 'transparent' }));
+    group.appendChild(svgElement('rect', {
+      x: x + gap,
+      y: plotHeight - columnHeight,
+      width: Math.max(slot - 2 * gap, 1),
+      height: columnHeight,
+      fill: CHART_COLORS[0]
+    }));
+
+    if (i % labelEvery === 0) {
+      const label = svgElement('text', { x, y: plotHeight + 16, class: 'chart-axis' });
+      label.textContent = column.label;
+      group.appendChild(label);
+    }
+    svg.appendChild(group);
+  });
+
+  chart.appendChild(svg);
+  return chart;
+}
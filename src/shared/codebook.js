@@ -0,0 +1,139 @@
+/**
+ * Numeric coding of responses for statistics packages such as SPSS and R
+ *
+ * Each question becomes one variable, except multiple choice questions, which
+ * become one 0/1 variable per option. Yes/no is coded 1/0 and single choice
+ * options 1..n in survey order; scales and numbers keep their value, and text
+ * and dates stay strings. Unanswered questions are left empty (missing).
+ */
+
+import { getQuestionOptions, describeQuestionType } from './survey-parser.js';
+
+// SPSS variable names are at most 64 bytes; room is left for a suffix
+const MAX_NAME_LENGTH = 56;
+
+// Words SPSS does not accept as variable names
+const RESERVED_NAMES = new Set(['all', 'and', 'by', 'eq', 'ge', 'gt', 'le', 'lt', 'ne', 'not', 'or', 'to', 'with']);
+
+const YES_NO_VALUES = [{ code: 1, label: 'Yes' }, { code: 0, label: 'No' }];
+const SELECTED_VALUES = [{ code: 1, label: 'Selected' }, { code: 0, label: 'Not selected' }];
+
+// Question ids already use letters, digits, _ and -; variable names must start with a letter
+function variableName(questionId, used) {
+  let base = questionId.replace(/-/g, '_').slice(0, MAX_NAME_LENGTH);
+  if (!/^[a-z]/i.test(base) || RESERVED_NAMES.has(base.toLowerCase())) {
+    base = `q_${base}`;
+  }
+  return uniqueName(base, used);
+}
+
+function uniqueName(base, used) {
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n++) {
+    name = `${base}_${n}`;
+  }
+  used.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Variables for a list of questions: response id, submission time and survey
+ * version first, then the questions in order
+ * Each variable is { name, label, type: 'numeric' | 'string', description,
+ * values: [{ code, label }] }, plus the question and option it codes.
+ */
+export function buildCodebook(questions) {
+  const used = new Set(['response_id', 'submitted_at', 'survey_version']);
+  const variables = [
+    { name: 'response_id', label: 'Response ID', type: 'string', description: 'Identifier', values: [], field: 'id' },
+    { name: 'submitted_at', label: 'Submitted At', type: 'string', description: 'ISO 8601 time (UTC)', values: [], field: 'submittedAt' },
+    { name: 'survey_version', label: 'Survey Version', type: 'numeric', description: 'Survey version answered', values: [], field: 'schemaVersion' }
+  ];
+
+  questions.forEach(question => {
+    const name = variableName(question.id, used);
+    const label = question.removed ? `Removed: ${question.text}` : question.text;
+    const description = describeQuestionType(question);
+
+    if (question.type === 'multiple_choice') {
+      getQuestionOptions(question).forEach((option, i) => {
+        variables.push({ name: uniqueName(`${name}_${i + 1}`, used), label: `${label}: ${option}`, type: 'numeric', description, values: SELECTED_VALUES, question, option });
+      });
+      return;
+    }
+
+    const variable = { name, label, type: 'string', description, values: [], question };
+    if (question.type === 'yes_no') {
+      Object.assign(variable, { type: 'numeric', values: YES_NO_VALUES });
+    } else if (question.type === 'single_choice') {
+      Object.assign(variable, { type: 'numeric', values: getQuestionOptions(question).map((option, i) => ({ code: i + 1, label: option })) });
+    } else if (question.type === 'scale' || question.type === 'number') {
+      variable.type = 'numeric';
+    }
+    variables.push(variable);
+  });
+
+  return variables;
+}
+
+function codeAnswer(variable, answer) {
+  const { question } = variable;
+
+  // An answer given to an earlier version of the question with another type cannot be coded
+  if (!answer || answer.value === null || answer.value === undefined || (answer.type || question.type) !== question.type) {
+    return '';
+  }
+
+  switch (question.type) {
+    case 'yes_no':
+      return answer.value ? 1 : 0;
+    case 'single_choice': {
+      const value = variable.values.find(v => v.label === answer.value);
+      return value ? value.code : '';
+    }
+    case 'multiple_choice':
+      if (!Array.isArray(answer.value) || answer.value.length === 0) {
+        return '';
+      }
+      return answer.value.includes(variable.option) ? 1 : 0;
+    case 'scale':
+    case 'number':
+      return typeof answer.value === 'number' ? answer.value : '';
+    default:
+      return String(answer.value);
+  }
+}
+
+/**
+ * One row of codes for a decrypted response, in codebook order
+ */
+export function codeResponse(codebook, response) {
+  return codebook.map(variable => {
+    if (variable.field === 'submittedAt') {
+      return new Date(response.submittedAt).toISOString();
+    }
+    if (variable.field === 'schemaVersion') {
+      return response.schemaVersion || 1;
+    }
+    if (variable.field) {
+      return response[variable.field];
+    }
+    return codeAnswer(variable, response.answers[variable.question.id]);
+  });
+}
+
+/**
+ * The codebook as table rows (with a header row), for CSV or spreadsheet export
+ */
+export function codebookRows(codebook) {
+  return [
+    ['Variable', 'Label', 'Type', 'Question Type', 'Values'],
+    ...codebook.map(variable => [
+      variable.name,
+      variable.label,
+      variable.type,
+      variable.description,
+      variable.values.map(value => `${value.code} = ${value.label}`).join('; ')
+    ])
+  ];
+}
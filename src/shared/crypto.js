@@ -95,14 +95,176 @@ export function decryptData(encryptedData, key) {
   return JSON.parse(jsonString);
 }
 
+/**
+ * Generate a keypair that respondents seal their answers to
+ */
+export function generateResponseKeyPair() {
+  return nacl.box.keyPair();
+}
+
+/**
+ * Derive the sealed box nonce from the ephemeral and recipient public keys
+ * (same construction as libsodium's crypto_box_seal, using SHA-512)
+ */
+function sealNonce(ephemeralPublicKey, recipientPublicKey) {
+  const input = new Uint8Array(ephemeralPublicKey.length + recipientPublicKey.length);
+  input.set(ephemeralPublicKey, 0);
+  input.set(recipientPublicKey, ephemeralPublicKey.length);
+  return nacl.hash(input).slice(0, nacl.box.nonceLength);
+}
+
+/**
+ * Encrypt data to a public key using a NaCl sealed box (ephemeral sender key)
+ */
+export function sealData(data, publicKey) {
+  const message = new TextEncoder().encode(JSON.stringify(data));
+  const ephemeral = nacl.box.keyPair();
+  const nonce = sealNonce(ephemeral.publicKey, publicKey);
+  const ciphertext = nacl.box(message, nonce, publicKey, ephemeral.secretKey);
+  
+  // Format: ephemeral public key + ciphertext
+  const output = new Uint8Array(ephemeral.publicKey.length + ciphertext.length);
+  output.set(ephemeral.publicKey, 0);
+  output.set(ciphertext, ephemeral.publicKey.length);
+  
+  return output;
+}
+
+/**
+ * Decrypt a NaCl sealed box with the recipient keypair
+ */
+export function openSealedData(sealedData, keyPair) {
+  const publicKeyLength = nacl.box.publicKeyLength;
+  
+  if (sealedData.length < publicKeyLength + nacl.box.overheadLength) {
+    throw new Error('Invalid sealed data format');
+  }
+  
+  const ephemeralPublicKey = sealedData.slice(0, publicKeyLength);
+  const ciphertext = sealedData.slice(publicKeyLength);
+  const nonce = sealNonce(ephemeralPublicKey, keyPair.publicKey);
+  
+  const decrypted = nacl.box.open(ciphertext, nonce, ephemeralPublicKey, keyPair.secretKey);
+  
+  if (!decrypted) {
+    throw new Error('Decryption failed - wrong key or corrupted data');
+  }
+  
+  const jsonString = new TextDecoder().decode(decrypted);
+  return JSON.parse(jsonString);
+}
+
+/**
+ * Encrypt survey responses the way the survey asks for them: sealed to the
+ * creator's public key if it has one, otherwise with the shared survey key
+ */
+export function encryptResponse(responses, surveyData, key) {
+  if (surveyData.responsePublicKey) {
+    return sealData(responses, new Uint8Array(surveyData.responsePublicKey));
+  }
+  
+  return encryptData(responses, key);
+}
+
+/**
+ * Decrypt a survey response (sealed responses need the response keypair)
+ */
+export function decryptResponse(encryptedResponse, key, responseKeyPair = null) {
+  if (responseKeyPair) {
+    return openSealedData(encryptedResponse, responseKeyPair);
+  }
+  
+  return decryptData(encryptedResponse, key);
+}
+
+/**
+ * Encode bytes as a lowercase hex string
+ */
+export function bytesToHex(bytes) {
+  return Array.from(bytes)
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Decode a hex string into bytes
+ */
+export function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
 /**
  * Create a hash of the key for verification (without storing the key)
  */
 export async function createKeyHash(key) {
   const hashBuffer = await crypto.subtle.digest('SHA-256', key);
-  return Array.from(new Uint8Array(hashBuffer))
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
+  return bytesToHex(new Uint8Array(hashBuffer));
+}
+
+/**
+ * Generate a single-use invite token and the SHA-256 hash the server stores for it
+ */
+export async function createInviteToken() {
+  const token = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return { token, tokenHash: bytesToHex(new Uint8Array(hashBuffer)) };
+}
+
+/**
+ * Generate the secret a respondent keeps to edit or withdraw their response,
+ * and the SHA-256 hash stored with it
+ */
+export async function createEditSecret() {
+  const editSecret = bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(editSecret));
+  return { editSecret, editSecretHash: bytesToHex(new Uint8Array(hashBuffer)) };
+}
+
+// SHA-512 over a domain label and a key, for deriving keys with a single purpose
+function hashWithLabel(label, key) {
+  const labelBytes = new TextEncoder().encode(label);
+  const input = new Uint8Array(labelBytes.length + key.length);
+  input.set(labelBytes, 0);
+  input.set(key, labelBytes.length);
+  return nacl.hash(input);
+}
+
+/**
+ * Derive the Ed25519 keypair that signs analyst challenges
+ * (seed is SHA-512 over a domain label and the analysis key, so the signing
+ * key never equals an encryption key)
+ */
+export function deriveSigningKeyPair(key) {
+  const seed = hashWithLabel('encrypted-survey:analysis-signing:v1', key).slice(0, nacl.sign.seedLength);
+  return nacl.sign.keyPair.fromSeed(seed);
+}
+
+/**
+ * Derive the key that encrypts a respondent's local answer drafts from the survey key
+ */
+export function deriveDraftKey(key) {
+  return hashWithLabel('encrypted-survey:answer-draft:v1', key).slice(0, nacl.secretbox.keyLength);
+}
+
+/**
+ * Get the public verification key (hex) the server stores for an analysis key
+ */
+export function createVerifyKey(key) {
+  return bytesToHex(deriveSigningKeyPair(key).publicKey);
+}
+
+/**
+ * Sign a server challenge for one analyst request
+ * Returns the Authorization header value: "Signature <challenge>:<signature>"
+ */
+export function signChallenge(challenge, method, path, key) {
+  const message = new TextEncoder().encode(`${challenge}:${method.toUpperCase()}:${path}`);
+  const signature = nacl.sign.detached(message, deriveSigningKeyPair(key).secretKey);
+  return `Signature ${challenge}:${bytesToHex(signature)}`;
 }
 
 /**
@@ -154,49 +316,123 @@ export function validatePassword(password) {
 
 /**
  * Create complete encrypted survey package
+ *
+ * The survey password lets respondents decrypt the survey; the analysis
+ * password is a separate secret for reading results. A response keypair is
+ * generated: the public key travels inside the encrypted survey so
+ * respondents can seal their answers to it, and the secret key (plus the
+ * survey key) is wrapped under the analysis key. The server receives the
+ * survey key hash (for respondents) and an Ed25519 verification key derived
+ * from the analysis key (for signed analyst requests).
  */
-export async function createEncryptedSurvey(surveyData, password) {
+export async function createEncryptedSurvey(surveyData, password, analysisPassword) {
   const validation = validatePassword(password);
   if (!validation.valid) {
     throw new Error(validation.message);
   }
   
+  const analysisValidation = validatePassword(analysisPassword);
+  if (!analysisValidation.valid) {
+    throw new Error(`Analysis password: ${analysisValidation.message}`);
+  }
+  
+  if (analysisPassword === password) {
+    throw new Error('Analysis password must be different from the survey password');
+  }
+  
   // Generate salt and derive key
   const salt = randomBytes(16);
   const key = await deriveKey(password, salt);
   
+  // Generate the response keypair; only the public half goes to respondents
+  const responseKeyPair = generateResponseKeyPair();
+  const payload = {
+    ...surveyData,
+    responsePublicKey: Array.from(responseKeyPair.publicKey)
+  };
+  
+  // Derive the analysis key and wrap the survey key + response secret key
+  const analysisSalt = randomBytes(16);
+  const analysisKey = await deriveKey(analysisPassword, analysisSalt);
+  const wrappedKeys = encryptData({
+    surveyKey: Array.from(key),
+    responseSecretKey: Array.from(responseKeyPair.secretKey)
+  }, analysisKey);
+  
   // Encrypt survey data
-  const encryptedData = encryptData(surveyData, key);
+  const encryptedData = encryptData(payload, key);
   
-  // Create key hash for verification
+  // Create key hash for verification and the analyst verification key
   const keyHash = await createKeyHash(key);
+  const analysisVerifyKey = createVerifyKey(analysisKey);
   
   return {
     id: generateUlid(),
     salt: Array.from(salt),
     encryptedData: Array.from(encryptedData),
     keyHash,
+    analysisSalt: Array.from(analysisSalt),
+    wrappedKeys: Array.from(wrappedKeys),
+    analysisVerifyKey,
     createdAt: Date.now()
   };
 }
 
 /**
  * Decrypt and verify survey data
+ * SecretBox is authenticated, so a wrong password fails to decrypt; the server
+ * does not hand out a key hash to check against.
  */
 export async function decryptSurvey(encryptedSurvey, password) {
-  const { salt, encryptedData, keyHash } = encryptedSurvey;
+  const { salt, encryptedData } = encryptedSurvey;
   
   // Derive key from password and salt
   const key = await deriveKey(password, new Uint8Array(salt));
   
-  // Verify key hash
-  const computedHash = await createKeyHash(key);
-  if (computedHash !== keyHash) {
+  let surveyData;
+  try {
+    surveyData = decryptData(new Uint8Array(encryptedData), key);
+  } catch (error) {
     throw new Error('Invalid password');
   }
   
-  // Decrypt data
-  const surveyData = decryptData(new Uint8Array(encryptedData), key);
-  
   return { surveyData, key };
+}
+
+/**
+ * Unlock a survey for analysis
+ *
+ * Surveys with wrapped keys are unlocked with the analysis password and also
+ * yield the response keypair; older surveys fall back to the survey password.
+ * The returned analysisKey is the key that signs analyst API calls.
+ */
+export async function unlockAnalysis(encryptedSurvey, password) {
+  const { analysisSalt, wrappedKeys, encryptedData } = encryptedSurvey;
+  
+  if (!wrappedKeys) {
+    const { surveyData, key } = await decryptSurvey(encryptedSurvey, password);
+    return { surveyData, key, analysisKey: key, responseKeyPair: null };
+  }
+  
+  const analysisKey = await deriveKey(password, new Uint8Array(analysisSalt));
+  
+  let unwrapped;
+  try {
+    unwrapped = decryptData(new Uint8Array(wrappedKeys), analysisKey);
+  } catch (error) {
+    throw new Error('Invalid password');
+  }
+  
+  const key = new Uint8Array(unwrapped.surveyKey);
+  
+  // The wrapped survey key must still decrypt the survey
+  let surveyData;
+  try {
+    surveyData = decryptData(new Uint8Array(encryptedData), key);
+  } catch (error) {
+    throw new Error('Wrapped survey key does not match this survey');
+  }
+  const responseKeyPair = nacl.box.keyPair.fromSecretKey(new Uint8Array(unwrapped.responseSecretKey));
+  
+  return { surveyData, key, analysisKey, responseKeyPair };
 }
\ No newline at end of file
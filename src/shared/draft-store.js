@@ -0,0 +1,57 @@
+/**
+ * Answer drafts for surveys being filled in, kept in IndexedDB
+ *
+ * Only ciphertext is stored (encrypted with deriveDraftKey from crypto.js),
+ * one draft per survey, so answers in progress never reach disk as plaintext.
+ */
+
+const DB_NAME = 'encrypted-survey-drafts';
+const STORE_NAME = 'drafts';
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'surveyId' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the drafts store and resolve with its result
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Save the encrypted draft for a survey, replacing any earlier one
+ */
+export function saveDraft(surveyId, encryptedDraft) {
+  return withStore('readwrite', store => store.put({ surveyId, encryptedDraft, savedAt: Date.now() }));
+}
+
+/**
+ * Get the saved draft for a survey: { surveyId, encryptedDraft, savedAt } or null
+ */
+export async function loadDraft(surveyId) {
+  return (await withStore('readonly', store => store.get(surveyId))) || null;
+}
+
+/**
+ * Delete the saved draft for a survey
+ */
+export function deleteDraft(surveyId) {
+  return withStore('readwrite', store => store.delete(surveyId));
+}
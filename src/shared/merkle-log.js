@@ -0,0 +1,145 @@
+/**
+ * Verification of the per-survey response log
+ *
+ * The worker keeps an append-only Merkle tree (RFC 9162 layout) over the SHA-256
+ * hashes of a survey's response ciphertexts and signs each tree head with a
+ * per-survey ECDSA P-256 key. A receipt holds the leaf, its inclusion proof and
+ * the signed tree head; later tree heads can be checked against it with a
+ * consistency proof.
+ */
+
+import { bytesToHex, hexToBytes } from './crypto.js';
+
+export const LOG_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const LOG_SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+async function sha256Hex(bytes) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', bytes);
+  return bytesToHex(new Uint8Array(hashBuffer));
+}
+
+async function hashWithPrefix(prefix, ...hexParts) {
+  const input = new Uint8Array(1 + hexParts.length * 32);
+  input[0] = prefix;
+  hexParts.forEach((part, i) => input.set(hexToBytes(part), 1 + i * 32));
+  return sha256Hex(input);
+}
+
+/**
+ * Leaf hash for a response's encrypted answers (as submitted)
+ */
+export async function hashLeaf(ciphertext) {
+  return hashWithPrefix(0x00, await sha256Hex(new Uint8Array(ciphertext)));
+}
+
+function hashChildren(left, right) {
+  return hashWithPrefix(0x01, left, right);
+}
+
+/**
+ * Check that a leaf is in the tree with the given root (RFC 9162, section 2.1.3.2)
+ */
+export async function verifyInclusion(leafIndex, treeSize, leafHash, proof, rootHash) {
+  if (leafIndex >= treeSize) {
+    return false;
+  }
+
+  let fn = leafIndex;
+  let sn = treeSize - 1;
+  let r = leafHash;
+
+  for (const p of proof) {
+    if (sn === 0) {
+      return false;
+    }
+    if (fn % 2 === 1 || fn === sn) {
+      r = await hashChildren(p, r);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+      }
+    } else {
+      r = await hashChildren(r, p);
+    }
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  return sn === 0 && r === rootHash;
+}
+
+/**
+ * Check that a newer tree extends an older one (RFC 9162, section 2.1.4.2)
+ */
+export async function verifyConsistency(oldSize, newSize, oldRoot, newRoot, proof) {
+  if (oldSize === newSize) {
+    return proof.length === 0 && oldRoot === newRoot;
+  }
+  if (oldSize === 0 || oldSize > newSize || proof.length === 0) {
+    return false;
+  }
+
+  // A perfect old tree is its own first node
+  const path = (oldSize & (oldSize - 1)) === 0 ? [oldRoot, ...proof] : [...proof];
+
+  let fn = oldSize - 1;
+  let sn = newSize - 1;
+  while (fn % 2 === 1) {
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  let fr = path[0];
+  let sr = path[0];
+
+  for (const c of path.slice(1)) {
+    if (sn === 0) {
+      return false;
+    }
+    if (fn % 2 === 1 || fn === sn) {
+      fr = await hashChildren(c, fr);
+      sr = await hashChildren(c, sr);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+      }
+    } else {
+      sr = await hashChildren(sr, c);
+    }
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  return fr === oldRoot && sr === newRoot && sn === 0;
+}
+
+/**
+ * The bytes a tree head signature covers
+ */
+export function treeHeadMessage(surveyId, treeSize, rootHash) {
+  return new TextEncoder().encode(`encrypted-survey-log:v1:${surveyId}:${treeSize}:${rootHash}`);
+}
+
+/**
+ * Check a signed tree head against the survey's log key (JWK)
+ */
+export async function verifyTreeHead(publicJwk, surveyId, treeHead) {
+  const key = await crypto.subtle.importKey('jwk', publicJwk, LOG_KEY_ALGORITHM, false, ['verify']);
+  return crypto.subtle.verify(
+    LOG_SIGNATURE_ALGORITHM,
+    key,
+    hexToBytes(treeHead.signature),
+    treeHeadMessage(surveyId, treeHead.treeSize, treeHead.rootHash)
+  );
+}
+
+/**
+ * Check a receipt returned with a submitted response
+ */
+export async function verifyReceipt(surveyId, ciphertext, receipt) {
+  const { leafIndex, leafHash, proof, treeHead, publicKey } = receipt;
+
+  return leafHash === await hashLeaf(ciphertext) &&
+    await verifyInclusion(leafIndex, treeHead.treeSize, leafHash, proof, treeHead.rootHash) &&
+    await verifyTreeHead(publicKey, surveyId, treeHead);
+}
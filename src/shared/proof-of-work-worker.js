@@ -0,0 +1,12 @@
+/**
+ * Web Worker that solves a proof-of-work challenge off the main thread
+ * Receives { challenge, difficulty } and replies with { nonce }
+ */
+
+import { solveProofOfWork } from './proof-of-work.js';
+
+self.onmessage = async (event) => {
+  const { challenge, difficulty } = event.data;
+  const nonce = await solveProofOfWork(challenge, difficulty);
+  self.postMessage({ nonce });
+};
@@ -0,0 +1,48 @@
+/**
+ * Hashcash-style proof of work for anonymous response submission
+ * The server hands out a signed challenge with the survey. Before submitting,
+ * the respondent's browser searches for a nonce such that
+ * SHA-256("<challenge>:<nonce>") starts with `difficulty` zero bits.
+ */
+
+// Nonces hashed concurrently per round (crypto.subtle.digest is async)
+const BATCH_SIZE = 512;
+
+/**
+ * Count the leading zero bits of a byte array
+ */
+export function countLeadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Hash a challenge and nonce
+ */
+export async function hashProofOfWork(challenge, nonce) {
+  const data = new TextEncoder().encode(`${challenge}:${nonce}`);
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
+
+/**
+ * Find a nonce whose hash meets the difficulty
+ * Expected work is 2^difficulty hashes
+ */
+export async function solveProofOfWork(challenge, difficulty) {
+  for (let start = 0; ; start += BATCH_SIZE) {
+    const nonces = Array.from({ length: BATCH_SIZE }, (_, i) => start + i);
+    const hashes = await Promise.all(nonces.map(nonce => hashProofOfWork(challenge, nonce)));
+    
+    const index = hashes.findIndex(hash => countLeadingZeroBits(hash) >= difficulty);
+    if (index !== -1) {
+      return String(nonces[index]);
+    }
+  }
+}
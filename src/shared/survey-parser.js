@@ -2,6 +2,106 @@
  * Markdown parser for survey definitions
  */
 
+/**
+ * Supported question types (internal type -> markdown keyword)
+ */
+export const QUESTION_TYPES = {
+  yes_no: 'yes/no',
+  text: 'text',
+  single_choice: 'choice',
+  multiple_choice: 'multi-choice',
+  scale: 'scale',
+  number: 'number',
+  date: 'date'
+};
+
+// Trailing " *"; the space tells it apart from the end of *emphasis* or **bold** markup
+const REQUIRED_MARKER = /\s+\*$/;
+
+// Trailing "(optional)", spelling out the default
+const OPTIONAL_MARKER = /\s*\(optional\)$/i;
+
+// Branching annotation: [show if q2 = yes]
+const CONDITION_PATTERN = /\s*\[show if\s+(\S+)\s*(!=|>=|<=|=|>|<)\s*([^\]]+?)\s*\]/i;
+
+const CONDITION_OPERATORS = ['=', '!=', '>', '>=', '<', '<='];
+
+// Author-defined question id: {#slug}
+const ID_PATTERN = /\s*\{#([^}]*)\}/;
+
+const VALID_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Parse the bold type keyword of a question line, e.g. "yes/no" or "scale 0-10"
+ */
+function parseQuestionType(keyword) {
+  const normalized = keyword.trim().toLowerCase();
+  
+  const scaleMatch = normalized.match(/^scale\s+(-?\d+)\s*-\s*(-?\d+)$/);
+  if (scaleMatch) {
+    return { type: 'scale', min: parseInt(scaleMatch[1], 10), max: parseInt(scaleMatch[2], 10) };
+  }
+  
+  const type = Object.keys(QUESTION_TYPES).find(key => QUESTION_TYPES[key] === normalized);
+  
+  // Unknown keywords are kept so validateSurvey can report them
+  return { type: type || normalized };
+}
+
+/**
+ * Check whether a question type has a list of options
+ */
+export function isChoiceQuestion(question) {
+  return question.type === 'single_choice' || question.type === 'multiple_choice';
+}
+
+/**
+ * Get the answer options of a closed question (choices or scale points)
+ */
+export function getQuestionOptions(question) {
+  if (isChoiceQuestion(question)) {
+    return question.options || [];
+  }
+  
+  if (question.type === 'scale') {
+    const points = [];
+    for (let value = question.min; value <= question.max; value++) {
+      points.push(value);
+    }
+    return points;
+  }
+  
+  if (question.type === 'yes_no') {
+    return [true, false];
+  }
+  
+  return [];
+}
+
+/**
+ * Human-readable description of a question's type
+ */
+export function describeQuestionType(question) {
+  switch (question.type) {
+    case 'yes_no':
+      return 'Yes/No';
+    case 'text':
+      return 'Text';
+    case 'single_choice':
+      return `Single choice, ${(question.options || []).length} options`;
+    case 'multiple_choice':
+      return `Multiple choice, ${(question.options || []).length} options`;
+    case 'scale':
+      return `Scale ${question.min}-${question.max}`;
+    case 'number':
+      return 'Number';
+    case 'date':
+      return 'Date';
+    default:
+      return question.type;
+  }
+}
+
 /**
  * Parse survey markdown into structured data
  */
@@ -10,10 +110,17 @@ export function parseSurveyMarkdown(markdown) {
   let title = '';
   let description = '';
   const questions = [];
+  const sections = [];
   let currentSection = 'header';
   let questionId = 1;
   let descriptionLines = [];
   
+  // Positional ids skip ids the author chose anywhere in the survey
+  const explicitIds = new Set(lines
+    .map(line => line.match(ID_PATTERN))
+    .filter(Boolean)
+    .map(idMatch => idMatch[1].trim()));
+  
   for (const line of lines) {
     const trimmed = line.trim();
     
@@ -42,17 +149,69 @@ export function parseSurveyMarkdown(markdown) {
       continue;
     }
     
+    // Section headings split the questions into pages
+    if (currentSection === 'questions' && trimmed.startsWith('### ')) {
+      sections.push({
+        title: trimmed.slice(4).trim(),
+        description: '',
+        questionIds: []
+      });
+      continue;
+    }
+    
+    // Parse options of the preceding choice question (indented "- option" lines)
+    const lastQuestion = questions[questions.length - 1];
+    if (currentSection === 'questions' && /^\s+- /.test(line) && lastQuestion && isChoiceQuestion(lastQuestion)) {
+      lastQuestion.options.push(trimmed.slice(2).trim());
+      continue;
+    }
+    
     // Parse questions
     if (currentSection === 'questions' && trimmed.startsWith('- **')) {
       // Match format: - **type** text [regex: /pattern/ hint: message]
-      const match = trimmed.match(/^- \*\*(yes\/no|text)\*\* (.+)$/);
+      const match = trimmed.match(/^- \*\*([^*]+)\*\* (.+)$/);
       if (match) {
-        const [, type, fullText] = match;
+        const [, typeKeyword, fullText] = match;
+        const questionType = parseQuestionType(typeKeyword);
 
         // Extract regex pattern and hint if present
         let text = fullText.trim();
         let validation = null;
 
+        // Extract the author-defined id if present. Otherwise the id is positional:
+        // every question advances the counter, so adding an id to one question does
+        // not renumber the rest, and numbers the survey uses as ids are skipped.
+        let id;
+        const idMatch = text.match(ID_PATTERN);
+        if (idMatch) {
+          text = text.replace(ID_PATTERN, '').trim();
+          id = idMatch[1].trim();
+          questionId++;
+        } else {
+          do {
+            id = `q${questionId++}`;
+          } while (explicitIds.has(id));
+        }
+
+        // Extract branching condition if present
+        let condition = null;
+        const conditionMatch = text.match(CONDITION_PATTERN);
+        if (conditionMatch) {
+          text = text.replace(CONDITION_PATTERN, '').trim();
+          condition = {
+            questionId: conditionMatch[1],
+            operator: conditionMatch[2],
+            value: conditionMatch[3]
+          };
+        }
+
+        // A trailing "*" marks the question as required and "(optional)" as optional
+        // (either before or after the regex annotation; "(optional)" wins if both are given)
+        let required = REQUIRED_MARKER.test(text);
+        text = text.replace(REQUIRED_MARKER, '').trim();
+        let optional = OPTIONAL_MARKER.test(text);
+        text = text.replace(OPTIONAL_MARKER, '').trim();
+
         // Check for validation syntax: [regex: /pattern/flags hint: message]
         // Pattern can contain anything except / followed by space or letter (flag)
         // This matches: [regex: /pattern/flags hint: message]
@@ -73,16 +232,51 @@ export function parseSurveyMarkdown(markdown) {
           }
         }
 
-        questions.push({
-          id: `q${questionId++}`,
-          type: type === 'yes/no' ? 'yes_no' : 'text',
+        if (REQUIRED_MARKER.test(text)) {
+          required = true;
+          text = text.replace(REQUIRED_MARKER, '').trim();
+        }
+
+        if (OPTIONAL_MARKER.test(text)) {
+          optional = true;
+          text = text.replace(OPTIONAL_MARKER, '').trim();
+        }
+
+        const question = {
+          id,
+          type: questionType.type,
           text: text,
+          required: required && !optional,
           validation: validation
-        });
+        };
+        
+        if (condition) {
+          question.condition = condition;
+        }
+        
+        if (isChoiceQuestion(question)) {
+          question.options = [];
+        } else if (question.type === 'scale') {
+          question.min = questionType.min;
+          question.max = questionType.max;
+        }
+        
+        questions.push(question);
+        
+        if (sections.length > 0) {
+          sections[sections.length - 1].questionIds.push(question.id);
+        }
       }
       continue;
     }
     
+    // Text between a section heading and its first question describes the section
+    const lastSection = sections[sections.length - 1];
+    if (currentSection === 'questions' && lastSection && lastSection.questionIds.length === 0) {
+      lastSection.description = `${lastSection.description} ${trimmed}`.trim();
+      continue;
+    }
+    
     // Collect description (everything between title and Questions)
     if (currentSection === 'header' && !trimmed.startsWith('#')) {
       descriptionLines.push(trimmed);
@@ -97,7 +291,34 @@ export function parseSurveyMarkdown(markdown) {
       .trim();
   }
   
-  return { title, description, questions };
+  // Questions before the first heading form an untitled first section
+  const sectionedIds = new Set(sections.flatMap(section => section.questionIds));
+  const leadingIds = questions.filter(q => !sectionedIds.has(q.id)).map(q => q.id);
+  if (sections.length > 0 && leadingIds.length > 0) {
+    sections.unshift({ title: '', description: '', questionIds: leadingIds });
+  }
+  
+  const survey = { title, description, questions };
+  if (sections.length > 0) {
+    survey.sections = sections;
+  }
+  
+  return survey;
+}
+
+/**
+ * Get the pages of a survey: its sections, or a single page with every question
+ */
+export function getSurveyPages(survey) {
+  if (survey.sections && survey.sections.length > 0) {
+    return survey.sections;
+  }
+  
+  return [{
+    title: '',
+    description: '',
+    questionIds: survey.questions.map(q => q.id)
+  }];
 }
 
 /**
@@ -125,17 +346,75 @@ export function validateSurvey(survey) {
     errors.push('Survey cannot have more than 50 questions');
   }
   
+  // Check sections
+  if (survey.sections) {
+    if (survey.sections.length > 20) {
+      errors.push('Survey cannot have more than 20 sections');
+    }
+    
+    survey.sections.forEach((section, index) => {
+      if (section.title.length > 200) {
+        errors.push(`Section ${index + 1} title must be less than 200 characters`);
+      }
+      
+      if (section.description.length > 1000) {
+        errors.push(`Section ${index + 1} description must be less than 1000 characters`);
+      }
+      
+      if (section.questionIds.length === 0) {
+        errors.push(`Section ${section.title || index + 1} has no questions`);
+      }
+    });
+  }
+  
   // Validate each question
+  const seenIds = new Set();
   survey.questions.forEach((question, index) => {
+    if (!VALID_ID.test(question.id)) {
+      errors.push(`Question ${index + 1} has invalid id: ${question.id} (use letters, digits, - and _)`);
+    } else if (seenIds.has(question.id)) {
+      errors.push(`Question ${index + 1} has duplicate id: ${question.id}`);
+    }
+    seenIds.add(question.id);
+    
     if (!question.text || question.text.trim().length === 0) {
       errors.push(`Question ${index + 1} cannot be empty`);
     } else if (question.text.length > 500) {
       errors.push(`Question ${index + 1} must be less than 500 characters`);
     }
     
-    if (!['yes_no', 'text'].includes(question.type)) {
+    if (!Object.keys(QUESTION_TYPES).includes(question.type)) {
       errors.push(`Question ${index + 1} has invalid type: ${question.type}`);
     }
+    
+    if (isChoiceQuestion(question)) {
+      const options = question.options || [];
+      if (options.length < 2) {
+        errors.push(`Question ${index + 1} must have at least two options`);
+      } else if (options.length > 50) {
+        errors.push(`Question ${index + 1} cannot have more than 50 options`);
+      }
+      
+      if (new Set(options).size !== options.length) {
+        errors.push(`Question ${index + 1} has duplicate options`);
+      }
+      
+      if (options.some(option => !option || option.length > 200)) {
+        errors.push(`Question ${index + 1} options must be between 1 and 200 characters`);
+      }
+    }
+    
+    if (question.condition) {
+      errors.push(...validateCondition(survey, question, index));
+    }
+    
+    if (question.type === 'scale') {
+      if (!Number.isInteger(question.min) || !Number.isInteger(question.max) || question.min >= question.max) {
+        errors.push(`Question ${index + 1} scale must go from a lower to a higher whole number`);
+      } else if (question.max - question.min > 10) {
+        errors.push(`Question ${index + 1} scale cannot have more than 11 points`);
+      }
+    }
   });
   
   return {
@@ -144,6 +423,93 @@ export function validateSurvey(survey) {
   };
 }
 
+/**
+ * Validate a question's [show if ...] condition against the questions before it
+ */
+function validateCondition(survey, question, index) {
+  const { questionId, operator, value } = question.condition;
+  const targetIndex = survey.questions.findIndex(q => q.id === questionId);
+  const target = survey.questions[targetIndex];
+  
+  if (!target) {
+    return [`Question ${index + 1} condition refers to unknown question: ${questionId}`];
+  }
+  
+  // Only earlier questions can be referenced, which also rules out cycles
+  if (targetIndex >= index) {
+    return [`Question ${index + 1} condition must refer to an earlier question`];
+  }
+  
+  if (!CONDITION_OPERATORS.includes(operator)) {
+    return [`Question ${index + 1} condition has invalid operator: ${operator}`];
+  }
+  
+  const numeric = target.type === 'scale' || target.type === 'number';
+  if (!['=', '!='].includes(operator) && !numeric) {
+    return [`Question ${index + 1} condition can only compare ${questionId} with = or !=`];
+  }
+  
+  if (target.type === 'yes_no' && !['yes', 'no'].includes(value.toLowerCase())) {
+    return [`Question ${index + 1} condition value must be yes or no`];
+  }
+  
+  if (isChoiceQuestion(target) && !target.options.includes(value)) {
+    return [`Question ${index + 1} condition value is not an option of ${questionId}: ${value}`];
+  }
+  
+  if (numeric && !Number.isFinite(Number(value))) {
+    return [`Question ${index + 1} condition value must be a number`];
+  }
+  
+  if (target.type === 'text') {
+    return [`Question ${index + 1} condition cannot depend on a text question`];
+  }
+  
+  return [];
+}
+
+/**
+ * Check whether a question is shown, given the answers so far.
+ * A question is hidden when its condition is not met or when the question
+ * it depends on is itself hidden. Unanswered questions satisfy no condition.
+ */
+export function isQuestionVisible(question, survey, responses) {
+  if (!question.condition) {
+    return true;
+  }
+  
+  const { questionId, operator, value } = question.condition;
+  const target = survey.questions.find(q => q.id === questionId);
+  if (!target || !isQuestionVisible(target, survey, responses)) {
+    return false;
+  }
+  
+  const answer = responses[questionId] ? responses[questionId].value : null;
+  if (!isAnswered(target, answer)) {
+    return false;
+  }
+  
+  let matches;
+  if (target.type === 'yes_no') {
+    matches = answer === (value.toLowerCase() === 'yes');
+  } else if (target.type === 'multiple_choice') {
+    matches = answer.includes(value);
+  } else if (target.type === 'scale' || target.type === 'number') {
+    const expected = Number(value);
+    switch (operator) {
+      case '>': return answer > expected;
+      case '>=': return answer >= expected;
+      case '<': return answer < expected;
+      case '<=': return answer <= expected;
+      default: matches = answer === expected;
+    }
+  } else {
+    matches = String(answer) === value;
+  }
+  
+  return operator === '!=' ? !matches : matches;
+}
+
 /**
  * Generate example survey markdown
  */
@@ -153,7 +519,12 @@ We'd love to hear your thoughts about our service. All responses are anonymous a
 
 ## Questions
 
-- **yes/no** Are you satisfied with our service?
+- **yes/no** Are you satisfied with our service? *
+- **scale 1-5** How would you rate our support team?
+- **choice** How did you hear about us?
+  - Search engine
+  - Friend or colleague
+  - Social media
 - **text** What could we improve?
 - **yes/no** Would you recommend us to a friend?
 - **text** Any additional comments?`;
@@ -171,17 +542,54 @@ export function surveyToMarkdown(survey) {
 
   markdown += '\n## Questions\n\n';
 
-  survey.questions.forEach(question => {
-    const type = question.type === 'yes_no' ? 'yes/no' : 'text';
+  // Section headings are written before the first question of each section
+  const sectionStarts = new Map();
+  (survey.sections || []).forEach(section => {
+    if (section.title && section.questionIds.length > 0) {
+      sectionStarts.set(section.questionIds[0], section);
+    }
+  });
+
+  survey.questions.forEach((question, index) => {
+    const section = sectionStarts.get(question.id);
+    if (section) {
+      markdown += `${index > 0 ? '\n' : ''}### ${section.title}\n`;
+      if (section.description) {
+        markdown += `${section.description}\n`;
+      }
+      markdown += '\n';
+    }
+
+    const type = question.type === 'scale'
+      ? `scale ${question.min}-${question.max}`
+      : QUESTION_TYPES[question.type];
     let questionLine = `- **${type}** ${question.text}`;
 
+    if (question.required) {
+      questionLine += ' *';
+    }
+
+    if (question.condition) {
+      const { questionId, operator, value } = question.condition;
+      questionLine += ` [show if ${questionId} ${operator} ${value}]`;
+    }
+
     // Add validation if present
     if (question.validation && question.validation.pattern) {
       const flags = question.validation.flags || '';
       questionLine += ` [regex: /${question.validation.pattern}/${flags} hint: ${question.validation.hint}]`;
     }
 
+    // Always write the id so edits and reordering keep answers attached
+    questionLine += ` {#${question.id}}`;
+
     markdown += questionLine + '\n';
+    
+    if (isChoiceQuestion(question)) {
+      question.options.forEach(option => {
+        markdown += `  - ${option}\n`;
+      });
+    }
   });
 
   return markdown;
@@ -194,15 +602,53 @@ export function createResponseStructure(survey) {
   const responses = {};
   
   survey.questions.forEach(question => {
+    let value = null;
+    if (question.type === 'text') {
+      value = '';
+    } else if (question.type === 'multiple_choice') {
+      value = [];
+    }
+    
     responses[question.id] = {
       type: question.type,
-      value: question.type === 'yes_no' ? null : ''
+      value
     };
   });
   
   return responses;
 }
 
+/**
+ * Check that a value is a real calendar date in YYYY-MM-DD format
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Check whether a response value counts as an answer for the question
+ */
+export function isAnswered(question, value) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  
+  if (question.type === 'text') {
+    return typeof value === 'string' && value.trim().length > 0;
+  }
+  
+  if (question.type === 'multiple_choice') {
+    return Array.isArray(value) && value.length > 0;
+  }
+  
+  return value !== '';
+}
+
 /**
  * Validate survey responses
  */
@@ -218,6 +664,16 @@ export function validateResponses(survey, responses) {
       return;
     }
     
+    // Answers to hidden questions are not checked (they are cleared before submission)
+    if (!isQuestionVisible(question, survey, responses)) {
+      return;
+    }
+    
+    if (question.required && !isAnswered(question, response.value)) {
+      errors.push(`Answer required for: ${question.text}`);
+      return;
+    }
+    
     if (question.type === 'yes_no') {
       if (response.value !== true && response.value !== false && response.value !== null) {
         errors.push(`Invalid yes/no response for: ${question.text}`);
@@ -228,6 +684,29 @@ export function validateResponses(survey, responses) {
       } else if (response.value.length > 5000) {
         errors.push(`Text response too long for: ${question.text} (max 5000 characters)`);
       }
+    } else if (question.type === 'single_choice') {
+      if (response.value !== null && !question.options.includes(response.value)) {
+        errors.push(`Invalid choice for: ${question.text}`);
+      }
+    } else if (question.type === 'multiple_choice') {
+      if (!Array.isArray(response.value) || response.value.some(value => !question.options.includes(value))) {
+        errors.push(`Invalid choices for: ${question.text}`);
+      } else if (new Set(response.value).size !== response.value.length) {
+        errors.push(`Duplicate choices for: ${question.text}`);
+      }
+    } else if (question.type === 'scale') {
+      if (response.value !== null &&
+          (!Number.isInteger(response.value) || response.value < question.min || response.value > question.max)) {
+        errors.push(`Rating must be between ${question.min} and ${question.max} for: ${question.text}`);
+      }
+    } else if (question.type === 'number') {
+      if (response.value !== null && (typeof response.value !== 'number' || !Number.isFinite(response.value))) {
+        errors.push(`Invalid number for: ${question.text}`);
+      }
+    } else if (question.type === 'date') {
+      if (response.value !== null && !isValidDate(response.value)) {
+        errors.push(`Invalid date for: ${question.text} (expected YYYY-MM-DD)`);
+      }
     }
   });
   
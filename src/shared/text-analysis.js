@@ -0,0 +1,103 @@
+/**
+ * Search and term frequencies for text answers on the analysis page
+ *
+ * Everything runs in the browser over decrypted answers.
+ */
+
+// Common English words left out of term frequencies
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'don\'t', 'down', 'during', 'each', 'even', 'few',
+  'for', 'from', 'further', 'get', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers',
+  'herself', 'him', 'himself', 'his', 'how', 'i', 'i\'m', 'if', 'in', 'into', 'is', 'it', 'it\'s',
+  'its', 'itself', 'just', 'me', 'more', 'most', 'much', 'my', 'myself', 'no', 'nor', 'not', 'now',
+  'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over',
+  'own', 'really', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'that\'s', 'the',
+  'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when',
+  'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours',
+  'yourself', 'yourselves'
+]);
+
+/**
+ * Lowercase words of a text (letters, digits and apostrophes)
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().replace(/’/g, '\'').match(/[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu) || []);
+}
+
+/**
+ * Most frequent words (phraseLength 1) or phrases of consecutive words
+ * Terms containing a stop word are skipped. Returns up to `limit` entries of
+ * { term, answers, mentions }, ordered by the number of answers using them.
+ */
+export function termFrequencies(texts, { phraseLength = 1, limit = 20 } = {}) {
+  const terms = new Map();
+
+  texts.forEach(text => {
+    const seen = new Set();
+
+    // Phrases do not run across punctuation
+    text.split(/[.,;:!?()"\n]+/).forEach(clause => {
+      const words = tokenize(clause);
+
+      for (let i = 0; i + phraseLength <= words.length; i++) {
+        const phrase = words.slice(i, i + phraseLength);
+        if (phrase.some(word => STOP_WORDS.has(word) || word.length < 2)) {
+          continue;
+        }
+
+        const term = phrase.join(' ');
+        const entry = terms.get(term) || { term, answers: 0, mentions: 0 };
+        entry.mentions++;
+        if (!seen.has(term)) {
+          entry.answers++;
+          seen.add(term);
+        }
+        terms.set(term, entry);
+      }
+    });
+  });
+
+  return [...terms.values()]
+    .sort((a, b) => b.answers - a.answers || b.mentions - a.mentions || a.term.localeCompare(b.term))
+    .slice(0, limit);
+}
+
+function queryPattern(query) {
+  return new RegExp(query.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+}
+
+/**
+ * Whether a text contains the query, ignoring case
+ */
+export function matchesQuery(text, query) {
+  return !query.trim() || queryPattern(query).test(text);
+}
+
+/**
+ * Split a text around case-insensitive occurrences of the query, for highlighting
+ * Returns [{ text, match }] covering the whole text in order.
+ */
+export function splitMatches(text, query) {
+  if (!query.trim()) {
+    return [{ text, match: false }];
+  }
+
+  const segments = [];
+  let position = 0;
+
+  for (const found of text.matchAll(queryPattern(query))) {
+    if (found.index > position) {
+      segments.push({ text: text.slice(position, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    position = found.index + found[0].length;
+  }
+
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), match: false });
+  }
+  return segments;
+}
@@ -0,0 +1,200 @@
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) writer
+ *
+ * Writes string and number cells into one or more sheets and packs them in an
+ * uncompressed ZIP archive, so exports need no spreadsheet library. There is
+ * no formatting, no formulas and no shared string table.
+ */
+
+// Longest text Excel accepts in a cell
+const MAX_CELL_LENGTH = 32767;
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const DOCUMENT_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * ZIP archive of the given { name, data } files, stored without compression
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const entries = files.map(file => ({
+    name: encoder.encode(file.name),
+    data: typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+  }));
+
+  const localSize = entries.reduce((total, entry) => total + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((total, entry) => total + 46 + entry.name.length, 0);
+  const output = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(output.buffer);
+
+  // Every entry is dated 1980-01-01 00:00, the earliest DOS date
+  const DOS_DATE = (1 << 5) | 1;
+
+  let offset = 0;
+  let central = localSize;
+
+  entries.forEach(entry => {
+    const crc = crc32(entry.data);
+
+    view.setUint32(offset, 0x04034b50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+    view.setUint16(offset + 8, 0, true); // Stored
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, DOS_DATE, true);
+    view.setUint32(offset + 14, crc, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint32(offset + 22, entry.data.length, true);
+    view.setUint16(offset + 26, entry.name.length, true);
+    view.setUint16(offset + 28, 0, true);
+    output.set(entry.name, offset + 30);
+    output.set(entry.data, offset + 30 + entry.name.length);
+
+    view.setUint32(central, 0x02014b50, true);
+    view.setUint16(central + 4, 20, true);
+    view.setUint16(central + 6, 20, true);
+    view.setUint16(central + 8, 0x0800, true);
+    view.setUint16(central + 10, 0, true);
+    view.setUint16(central + 12, 0, true);
+    view.setUint16(central + 14, DOS_DATE, true);
+    view.setUint32(central + 16, crc, true);
+    view.setUint32(central + 20, entry.data.length, true);
+    view.setUint32(central + 24, entry.data.length, true);
+    view.setUint16(central + 28, entry.name.length, true);
+    view.setUint16(central + 30, 0, true);
+    view.setUint16(central + 32, 0, true);
+    view.setUint16(central + 34, 0, true);
+    view.setUint16(central + 36, 0, true);
+    view.setUint32(central + 38, 0, true);
+    view.setUint32(central + 42, offset, true);
+    output.set(entry.name, central + 46);
+
+    offset += 30 + entry.name.length + entry.data.length;
+    central += 46 + entry.name.length;
+  });
+
+  view.setUint32(central, 0x06054b50, true);
+  view.setUint16(central + 8, entries.length, true);
+  view.setUint16(central + 10, entries.length, true);
+  view.setUint32(central + 12, centralSize, true);
+  view.setUint32(central + 16, localSize, true);
+
+  return output;
+}
+
+// Escape text for XML, dropping control characters XML cannot contain
+function escapeXml(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Spreadsheet column name: 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+function cellXml(value, reference) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"><v>${value}</v></c>`;
+  }
+  const text = escapeXml(String(value).slice(0, MAX_CELL_LENGTH));
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+function sheetXml(rows) {
+  const rowsXml = rows.map((row, r) => {
+    const cells = row
+      .map((value, c) => value === null || value === undefined || value === ''
+        ? ''
+        : cellXml(value, `${columnName(c)}${r + 1}`))
+      .join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  return `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>${rowsXml}</sheetData></worksheet>`;
+}
+
+// Sheet names are at most 31 characters, without []:*?/\
+function sheetName(name) {
+  return name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet';
+}
+
+/**
+ * Build an .xlsx file from sheets of { name, rows }, where rows are arrays of
+ * strings and numbers (empty cells as '', null or undefined)
+ */
+export function createXlsx(sheets) {
+  const sheetFiles = sheets.map((sheet, i) => ({
+    name: `xl/worksheets/sheet${i + 1}.xml`,
+    data: sheetXml(sheet.rows)
+  }));
+
+  const contentTypes = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheetFiles.map(file => `<Override PartName="/${file.name}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+    '</Types>';
+
+  const packageRelationships = `${XML_HEADER}<Relationships xmlns="${RELATIONSHIPS_NS}">` +
+    `<Relationship Id="rId1" Type="${DOCUMENT_RELATIONSHIPS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>';
+
+  const workbook = `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${DOCUMENT_RELATIONSHIPS}"><sheets>` +
+    sheets.map((sheet, i) => `<sheet name="${escapeXml(sheetName(sheet.name))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+    '</sheets></workbook>';
+
+  const workbookRelationships = `${XML_HEADER}<Relationships xmlns="${RELATIONSHIPS_NS}">` +
+    sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="${DOCUMENT_RELATIONSHIPS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+    `<Relationship Id="rId${sheets.length + 1}" Type="${DOCUMENT_RELATIONSHIPS}/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  // The smallest stylesheet Excel accepts
+  const styles = `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">` +
+    '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs>' +
+    '</styleSheet>';
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: packageRelationships },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRelationships },
+    { name: 'xl/styles.xml', data: styles },
+    ...sheetFiles
+  ]);
+}
@@ -2,6 +2,22 @@
  * Database operations for D1
  */
 
+// Days survey data is kept after it closes when the creator did not choose a period
+export const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Lifecycle states a creator can switch a survey between
+export const SURVEY_STATUSES = ['open', 'paused', 'closed'];
+
+/**
+ * Time after which cleanup deletes a survey: its closing date (or creation
+ * date if it never closes) plus the retention period
+ */
+export function getDeleteAfter(survey) {
+  return (survey.expiresAt || survey.createdAt) + (survey.retentionDays || DEFAULT_RETENTION_DAYS) * DAY;
+}
+
 /**
  * Create a new survey in the database
  */
@@ -16,28 +32,48 @@ export async function createSurvey(db, surveyData) {
     createdAt,
     expiresAt,
     maxResponses,
-    creatorKeyHash
+    retentionDays,
+    powDifficulty,
+    creatorKeyHash,
+    analysisVerifyKey,
+    analysisSalt,
+    wrappedKeys
   } = surveyData;
   
   const stmt = db.prepare(`
     INSERT INTO surveys (
       id, analysis_id, title, description, questions, salt, 
-      created_at, expires_at, max_responses, creator_key_hash
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      created_at, expires_at, max_responses, retention_days, pow_difficulty, creator_key_hash,
+      analysis_verify_key, analysis_salt, wrapped_keys
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
-  const result = await stmt.bind(
-    id,
-    analysisId,
-    title,
-    description,
-    new Uint8Array(questions),
-    new Uint8Array(salt),
-    createdAt,
-    expiresAt,
-    maxResponses,
-    creatorKeyHash
-  ).run();
+  // The original definition is stored as version 1
+  const versionStmt = db.prepare(`
+    INSERT INTO survey_versions (survey_id, version, questions, created_at)
+    VALUES (?, 1, ?, ?)
+  `);
+  
+  const [result] = await db.batch([
+    stmt.bind(
+      id,
+      analysisId,
+      title,
+      description,
+      new Uint8Array(questions),
+      new Uint8Array(salt),
+      createdAt,
+      expiresAt,
+      maxResponses,
+      retentionDays,
+      powDifficulty || 0,
+      creatorKeyHash,
+      analysisVerifyKey,
+      analysisSalt ? new Uint8Array(analysisSalt) : null,
+      wrappedKeys ? new Uint8Array(wrappedKeys) : null
+    ),
+    versionStmt.bind(id, new Uint8Array(questions), createdAt)
+  ]);
   
   if (!result.success) {
     throw new Error('Failed to create survey');
@@ -66,30 +102,45 @@ export async function getSurvey(db, surveyId) {
     createdAt: result.created_at,
     expiresAt: result.expires_at,
     maxResponses: result.max_responses,
-    creatorKeyHash: result.creator_key_hash
+    retentionDays: result.retention_days,
+    status: result.status,
+    powDifficulty: result.pow_difficulty,
+    blindPublicKey: result.blind_public_key ? JSON.parse(result.blind_public_key) : null,
+    creatorKeyHash: result.creator_key_hash,
+    analysisKeyHash: result.analysis_key_hash,
+    analysisVerifyKey: result.analysis_verify_key,
+    schemaVersion: result.schema_version
   };
 }
 
 /**
  * Check if a survey is still accepting responses
  */
-export async function canAcceptResponses(db, surveyId) {
+export async function canAcceptResponses(db, surveyId, { replacing = false } = {}) {
   const survey = await getSurvey(db, surveyId);
   
   if (!survey) {
     return { canAccept: false, reason: 'Survey not found' };
   }
   
+  // Check status set by the creator
+  if (survey.status === 'paused') {
+    return { canAccept: false, reason: 'Survey is paused', survey };
+  }
+  if (survey.status === 'closed') {
+    return { canAccept: false, reason: 'Survey is closed', survey };
+  }
+  
   // Check expiration
   if (survey.expiresAt && Date.now() > survey.expiresAt) {
-    return { canAccept: false, reason: 'Survey has expired' };
+    return { canAccept: false, reason: 'Survey has expired', survey };
   }
   
-  // Check response limit
-  if (survey.maxResponses) {
+  // Check response limit (replacing an existing response does not add one)
+  if (survey.maxResponses && !replacing) {
     const responseCount = await getResponseCount(db, surveyId);
     if (responseCount >= survey.maxResponses) {
-      return { canAccept: false, reason: 'Survey has reached maximum responses' };
+      return { canAccept: false, reason: 'Survey has reached maximum responses', survey };
     }
   }
   
@@ -99,8 +150,8 @@ export async function canAcceptResponses(db, surveyId) {
 /**
  * Submit a response to a survey
  */
-export async function submitResponse(db, responseData) {
-  const { id, surveyId, answers, submittedAt } = responseData;
+export async function submitResponse(db, responseData, logEntry = null) {
+  const { id, surveyId, answers, submittedAt, schemaVersion, editSecretHash } = responseData;
   
   // Check if survey can accept responses
   const canAccept = await canAcceptResponses(db, surveyId);
@@ -108,17 +159,24 @@ export async function submitResponse(db, responseData) {
     throw new Error(canAccept.reason);
   }
   
-  const stmt = db.prepare(`
-    INSERT INTO responses (id, survey_id, answers, submitted_at)
-    VALUES (?, ?, ?, ?)
-  `);
+  // Responses record the definition version they answered (defaults to the current one)
+  const version = schemaVersion || canAccept.survey.schemaVersion;
   
-  const result = await stmt.bind(
+  const stmt = db.prepare(`
+    INSERT INTO responses (id, survey_id, answers, submitted_at, schema_version, edit_secret_hash, log_leaf_index)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
     id,
     surveyId,
     new Uint8Array(answers),
-    submittedAt
-  ).run();
+    submittedAt,
+    version,
+    editSecretHash || null,
+    logEntry ? logEntry.leafIndex : null
+  );
+  
+  // The response and its log entry are stored in one transaction
+  const [result] = await db.batch([stmt, ...logEntryStatements(db, surveyId, logEntry)]);
   
   if (!result.success) {
     throw new Error('Failed to submit response');
@@ -127,6 +185,69 @@ export async function submitResponse(db, responseData) {
   return { id, success: true };
 }
 
+/**
+ * Get one response of a survey by id (null if there is none)
+ */
+export async function getResponse(db, surveyId, responseId) {
+  const row = await db.prepare(`
+    SELECT id, answers, log_leaf_index FROM responses WHERE id = ? AND survey_id = ?
+  `).bind(responseId, surveyId).first();
+  
+  if (!row) {
+    return null;
+  }
+  
+  return {
+    id: row.id,
+    answers: Array.from(new Uint8Array(row.answers)),
+    logLeafIndex: row.log_leaf_index
+  };
+}
+
+/**
+ * Replace the answers of a response, given the hash of its edit secret
+ * Returns false if there is no such response or the secret does not match
+ */
+export async function replaceResponse(db, surveyId, responseId, editSecretHash, { answers, schemaVersion }, logEntry = null) {
+  const existing = await db.prepare(`
+    SELECT id FROM responses WHERE id = ? AND survey_id = ? AND edit_secret_hash = ?
+  `).bind(responseId, surveyId, editSecretHash).first();
+  
+  if (!existing) {
+    return false;
+  }
+  
+  // The response can still be withdrawn before the batch runs, so the log entry is
+  // only appended if the update found it; otherwise no leaf is left behind
+  const updated = logEntry && {
+    sql: 'EXISTS (SELECT 1 FROM responses WHERE id = ? AND survey_id = ? AND log_leaf_index = ?)',
+    params: [responseId, surveyId, logEntry.leafIndex]
+  };
+  
+  const [result] = await db.batch([
+    db.prepare(`
+      UPDATE responses SET answers = ?, schema_version = ?, log_leaf_index = ?
+      WHERE id = ? AND survey_id = ? AND edit_secret_hash = ?
+    `).bind(new Uint8Array(answers), schemaVersion, logEntry ? logEntry.leafIndex : null, responseId, surveyId, editSecretHash),
+    ...logEntryStatements(db, surveyId, logEntry, updated)
+  ]);
+  
+  return result.meta.changes === 1;
+}
+
+/**
+ * Delete a response, given the hash of its edit secret
+ * Returns false if there is no such response or the secret does not match
+ */
+export async function withdrawResponse(db, surveyId, responseId, editSecretHash) {
+  const result = await db.prepare(`
+    DELETE FROM responses
+    WHERE id = ? AND survey_id = ? AND edit_secret_hash = ?
+  `).bind(responseId, surveyId, editSecretHash).run();
+  
+  return result.meta.changes === 1;
+}
+
 /**
  * Get a survey by analysis ID (for analysis endpoints)
  */
@@ -149,25 +270,30 @@ export async function getSurveyByAnalysisId(db, analysisId) {
     createdAt: survey.created_at,
     expiresAt: survey.expires_at,
     maxResponses: survey.max_responses,
-    creatorKeyHash: survey.creator_key_hash
+    retentionDays: survey.retention_days,
+    status: survey.status,
+    powDifficulty: survey.pow_difficulty,
+    blindPublicKey: survey.blind_public_key ? JSON.parse(survey.blind_public_key) : null,
+    blindPrivateKey: survey.blind_private_key ? Array.from(new Uint8Array(survey.blind_private_key)) : null,
+    creatorKeyHash: survey.creator_key_hash,
+    analysisKeyHash: survey.analysis_key_hash,
+    analysisVerifyKey: survey.analysis_verify_key,
+    schemaVersion: survey.schema_version,
+    analysisSalt: survey.analysis_salt ? Array.from(new Uint8Array(survey.analysis_salt)) : null,
+    wrappedKeys: survey.wrapped_keys ? Array.from(new Uint8Array(survey.wrapped_keys)) : null
   };
 }
 
 /**
  * Get all responses for a survey (by analysis ID)
  */
-export async function getSurveyResponsesByAnalysisId(db, analysisId, creatorKeyHash) {
-  // Verify the requester is the survey creator
+export async function getSurveyResponsesByAnalysisId(db, analysisId) {
   const survey = await getSurveyByAnalysisId(db, analysisId);
   
   if (!survey) {
     throw new Error('Survey not found');
   }
   
-  if (survey.creatorKeyHash !== creatorKeyHash) {
-    throw new Error('Unauthorized - incorrect creator key');
-  }
-  
   // Get all responses for this survey
   const responses = await db.prepare(`
     SELECT * FROM responses WHERE survey_id = ? ORDER BY submitted_at DESC
@@ -176,27 +302,23 @@ export async function getSurveyResponsesByAnalysisId(db, analysisId, creatorKeyH
   return responses.results.map(response => ({
     id: response.id,
     answers: Array.from(new Uint8Array(response.answers)),
-    submittedAt: response.submitted_at
+    submittedAt: response.submitted_at,
+    schemaVersion: response.schema_version
   }));
 }
 
 /**
  * Get all responses for a survey (by survey ID - for backwards compatibility)
  */
-export async function getSurveyResponses(db, surveyId, creatorKeyHash) {
-  // Verify the requester is the survey creator
+export async function getSurveyResponses(db, surveyId) {
   const survey = await getSurvey(db, surveyId);
   
   if (!survey) {
     throw new Error('Survey not found');
   }
   
-  if (survey.creatorKeyHash !== creatorKeyHash) {
-    throw new Error('Unauthorized - incorrect creator key');
-  }
-  
   const stmt = db.prepare(`
-    SELECT id, answers, submitted_at 
+    SELECT id, answers, submitted_at, schema_version 
     FROM responses 
     WHERE survey_id = ? 
     ORDER BY submitted_at ASC
@@ -207,7 +329,8 @@ export async function getSurveyResponses(db, surveyId, creatorKeyHash) {
   return results.results.map(row => ({
     id: row.id,
     answers: Array.from(new Uint8Array(row.answers)),
-    submittedAt: row.submitted_at
+    submittedAt: row.submitted_at,
+    schemaVersion: row.schema_version
   }));
 }
 
@@ -223,18 +346,13 @@ export async function getResponseCount(db, surveyId) {
 /**
  * Get survey statistics (by analysis ID)
  */
-export async function getSurveyStatsByAnalysisId(db, analysisId, creatorKeyHash) {
-  // Verify the requester is the survey creator
+export async function getSurveyStatsByAnalysisId(db, analysisId) {
   const survey = await getSurveyByAnalysisId(db, analysisId);
   
   if (!survey) {
     throw new Error('Survey not found');
   }
   
-  if (survey.creatorKeyHash !== creatorKeyHash) {
-    throw new Error('Unauthorized - incorrect creator key');
-  }
-  
   const responseCount = await getResponseCount(db, survey.id);
   
   return {
@@ -244,6 +362,9 @@ export async function getSurveyStatsByAnalysisId(db, analysisId, creatorKeyHash)
     createdAt: survey.createdAt,
     expiresAt: survey.expiresAt,
     maxResponses: survey.maxResponses,
+    status: survey.status,
+    retentionDays: survey.retentionDays || DEFAULT_RETENTION_DAYS,
+    deleteAfter: getDeleteAfter(survey),
     isExpired: survey.expiresAt ? Date.now() > survey.expiresAt : false,
     isAtLimit: survey.maxResponses ? responseCount >= survey.maxResponses : false
   };
@@ -252,18 +373,13 @@ export async function getSurveyStatsByAnalysisId(db, analysisId, creatorKeyHash)
 /**
  * Get survey statistics (by survey ID - for backwards compatibility)
  */
-export async function getSurveyStats(db, surveyId, creatorKeyHash) {
-  // Verify the requester is the survey creator
+export async function getSurveyStats(db, surveyId) {
   const survey = await getSurvey(db, surveyId);
   
   if (!survey) {
     throw new Error('Survey not found');
   }
   
-  if (survey.creatorKeyHash !== creatorKeyHash) {
-    throw new Error('Unauthorized - incorrect creator key');
-  }
-  
   const responseCount = await getResponseCount(db, surveyId);
   
   return {
@@ -272,51 +388,674 @@ export async function getSurveyStats(db, surveyId, creatorKeyHash) {
     createdAt: survey.createdAt,
     expiresAt: survey.expiresAt,
     maxResponses: survey.maxResponses,
+    status: survey.status,
+    retentionDays: survey.retentionDays || DEFAULT_RETENTION_DAYS,
+    deleteAfter: getDeleteAfter(survey),
     isExpired: survey.expiresAt ? Date.now() > survey.expiresAt : false,
     isAtLimit: survey.maxResponses ? responseCount >= survey.maxResponses : false
   };
 }
 
 /**
- * Delete old surveys (cleanup job)
+ * Get every stored definition version of a survey (oldest first)
+ */
+export async function getSurveyVersions(db, surveyId) {
+  const results = await db.prepare(`
+    SELECT version, questions, created_at
+    FROM survey_versions
+    WHERE survey_id = ?
+    ORDER BY version ASC
+  `).bind(surveyId).all();
+  
+  return results.results.map(row => ({
+    version: row.version,
+    encryptedData: Array.from(new Uint8Array(row.questions)),
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Store an edited survey definition as the next version (analyst only).
+ * baseVersion is the version the edit was made from; a concurrent edit
+ * makes the insert collide on (survey_id, version) and the update fail.
+ */
+export async function updateSurveyDefinition(db, surveyId, encryptedData, baseVersion) {
+  const survey = await getSurvey(db, surveyId);
+  
+  if (!survey) {
+    throw new Error('Survey not found');
+  }
+  
+  if (survey.schemaVersion !== baseVersion) {
+    throw new Error('Conflict - the survey was changed since it was loaded, reload and try again');
+  }
+  
+  const version = baseVersion + 1;
+  const data = new Uint8Array(encryptedData);
+  const createdAt = Date.now();
+  
+  try {
+    await db.batch([
+      db.prepare(`
+        INSERT INTO survey_versions (survey_id, version, questions, created_at)
+        VALUES (?, ?, ?, ?)
+      `).bind(surveyId, version, data, createdAt),
+      db.prepare(`
+        UPDATE surveys SET questions = ?, schema_version = ?
+        WHERE id = ? AND schema_version = ?
+      `).bind(data, version, surveyId, baseVersion)
+    ]);
+  } catch (error) {
+    if (error.message.includes('UNIQUE')) {
+      throw new Error('Conflict - the survey was changed since it was loaded, reload and try again');
+    }
+    throw error;
+  }
+  
+  return { version, createdAt };
+}
+
+/**
+ * Open, pause or close a survey without touching its responses
  */
-export async function cleanupExpiredSurveys(db, maxAge = 30 * 24 * 60 * 60 * 1000) {
-  const cutoffTime = Date.now() - maxAge;
+export async function updateSurveyStatus(db, surveyId, status) {
+  if (!SURVEY_STATUSES.includes(status)) {
+    throw new Error('Invalid survey status');
+  }
+  
+  const result = await db.prepare(`
+    UPDATE surveys SET status = ? WHERE id = ?
+  `).bind(status, surveyId).run();
   
-  // Delete responses first (foreign key constraint)
+  if (result.meta.changes === 0) {
+    throw new Error('Survey not found');
+  }
+  
+  return { status };
+}
+
+/**
+ * Store a one-time analyst challenge for a survey, unless the requesting client
+ * (identified by `clientHash`) already has `maxOpen` unused ones for it
+ */
+export async function createAuthChallenge(db, surveyId, challenge, expiresAt, clientHash, maxOpen) {
+  // Drop challenges that expired without being used
   await db.prepare(`
-    DELETE FROM responses 
-    WHERE survey_id IN (
-      SELECT id FROM surveys WHERE created_at < ?
-    )
-  `).bind(cutoffTime).run();
+    DELETE FROM auth_challenges WHERE expires_at <= ?
+  `).bind(Date.now()).run();
   
-  // Delete surveys
+  // Count and insert in one statement so parallel requests cannot overshoot the cap
   const result = await db.prepare(`
-    DELETE FROM surveys WHERE created_at < ?
-  `).bind(cutoffTime).run();
+    INSERT INTO auth_challenges (challenge, survey_id, expires_at, client_hash)
+    SELECT ?, ?, ?, ?
+    WHERE (SELECT COUNT(*) FROM auth_challenges WHERE survey_id = ? AND client_hash = ?) < ?
+  `).bind(challenge, surveyId, expiresAt, clientHash, surveyId, clientHash, maxOpen).run();
+  
+  if (!result.success) {
+    throw new Error('Failed to create challenge');
+  }
+  
+  if (result.meta.changes !== 1) {
+    throw new Error('Too many open challenges - try again in a few minutes');
+  }
   
-  return { deletedCount: result.changes };
+  return { challenge, expiresAt };
 }
 
 /**
- * Delete a survey and all its responses (creator only, by analysis ID)
+ * Consume an analyst challenge (returns false if unknown, expired or already used)
  */
-export async function deleteSurveyByAnalysisId(db, analysisId, creatorKeyHash) {
-  // First verify the creator and get survey ID
-  const survey = await db.prepare(`
-    SELECT id, creator_key_hash FROM surveys WHERE analysis_id = ?
-  `).bind(analysisId).first();
+export async function consumeAuthChallenge(db, surveyId, challenge) {
+  const result = await db.prepare(`
+    DELETE FROM auth_challenges
+    WHERE challenge = ? AND survey_id = ? AND expires_at > ?
+  `).bind(challenge, surveyId, Date.now()).run();
+  
+  return result.meta.changes === 1;
+}
+
+/**
+ * Mark a proof-of-work challenge as used (returns false if it was used before)
+ */
+export async function consumePowChallenge(db, surveyId, challenge, expiresAt) {
+  // Drop used challenges that have expired anyway
+  await db.prepare(`
+    DELETE FROM used_pow_challenges WHERE expires_at <= ?
+  `).bind(Date.now()).run();
+  
+  const result = await db.prepare(`
+    INSERT OR IGNORE INTO used_pow_challenges (challenge, survey_id, expires_at)
+    VALUES (?, ?, ?)
+  `).bind(challenge, surveyId, expiresAt).run();
+  
+  return result.meta.changes === 1;
+}
+
+/**
+ * Make a used proof-of-work challenge usable again (when its response was not stored)
+ */
+export async function releasePowChallenge(db, surveyId, challenge) {
+  await db.prepare(`
+    DELETE FROM used_pow_challenges WHERE challenge = ? AND survey_id = ?
+  `).bind(challenge, surveyId).run();
+}
+
+/**
+ * Store hashes of newly generated invite tokens
+ */
+export async function createInviteTokens(db, surveyId, tokenHashes) {
+  await db.batch(tokenHashes.map(tokenHash => db.prepare(`
+    INSERT INTO invite_tokens (token_hash, survey_id) VALUES (?, ?)
+  `).bind(tokenHash, surveyId)));
+  
+  return getInviteStats(db, surveyId);
+}
+
+/**
+ * Count a survey's invite tokens (total 0 means the survey is not invite-only)
+ */
+export async function getInviteStats(db, surveyId) {
+  const result = await db.prepare(`
+    SELECT COUNT(*) as total, COALESCE(SUM(used), 0) as used
+    FROM invite_tokens
+    WHERE survey_id = ?
+  `).bind(surveyId).first();
+  
+  return {
+    total: result.total,
+    used: result.used,
+    outstanding: result.total - result.used
+  };
+}
+
+/**
+ * Spend an invite token (returns false if unknown or already used)
+ */
+export async function consumeInviteToken(db, surveyId, tokenHash) {
+  const result = await db.prepare(`
+    UPDATE invite_tokens SET used = 1
+    WHERE token_hash = ? AND survey_id = ? AND used = 0
+  `).bind(tokenHash, surveyId).run();
+  
+  return result.meta.changes === 1;
+}
+
+/**
+ * Make a spent invite token usable again (when storing its response failed)
+ */
+export async function releaseInviteToken(db, surveyId, tokenHash) {
+  await db.prepare(`
+    UPDATE invite_tokens SET used = 0
+    WHERE token_hash = ? AND survey_id = ?
+  `).bind(tokenHash, surveyId).run();
+}
+
+/**
+ * Turn on anonymous credentials by storing the creator's blind signing key
+ * The key cannot be replaced, since credentials already issued depend on it
+ */
+export async function setBlindSigningKey(db, surveyId, publicKey, encryptedPrivateKey) {
+  const result = await db.prepare(`
+    UPDATE surveys SET blind_public_key = ?, blind_private_key = ?
+    WHERE id = ? AND blind_public_key IS NULL
+  `).bind(JSON.stringify(publicKey), new Uint8Array(encryptedPrivateKey), surveyId).run();
+  
+  if (result.meta.changes === 0) {
+    throw new Error('Conflict - anonymous credentials are already enabled for this survey');
+  }
+}
+
+/**
+ * File a blinded credential for the creator to sign
+ */
+export async function createCredentialRequest(db, surveyId, id, blinded) {
+  await db.prepare(`
+    INSERT INTO credential_requests (id, survey_id, blinded) VALUES (?, ?, ?)
+  `).bind(id, surveyId, blinded).run();
+  
+  return { id };
+}
+
+/**
+ * Get a credential request (blindSignature is null until signed)
+ */
+export async function getCredentialRequest(db, surveyId, id) {
+  const request = await db.prepare(`
+    SELECT id, blind_signature FROM credential_requests WHERE id = ? AND survey_id = ?
+  `).bind(id, surveyId).first();
+  
+  if (!request) {
+    return null;
+  }
+  
+  return { id: request.id, blindSignature: request.blind_signature };
+}
+
+/**
+ * Get credential requests waiting for the creator's signature, and how many were signed
+ */
+export async function getCredentialRequests(db, surveyId) {
+  const results = await db.prepare(`
+    SELECT id, blinded, blind_signature FROM credential_requests WHERE survey_id = ?
+  `).bind(surveyId).all();
+  
+  const pending = results.results
+    .filter(request => !request.blind_signature)
+    .map(request => ({ id: request.id, blinded: request.blinded }));
+  
+  return { pending, issued: results.results.length - pending.length };
+}
+
+/**
+ * Store the creator's signatures on pending credential requests
+ */
+export async function signCredentialRequests(db, surveyId, signatures) {
+  const results = await db.batch(signatures.map(({ id, blindSignature }) => db.prepare(`
+    UPDATE credential_requests SET blind_signature = ?
+    WHERE id = ? AND survey_id = ? AND blind_signature IS NULL
+  `).bind(blindSignature, id, surveyId)));
+  
+  return { signed: results.reduce((count, result) => count + result.meta.changes, 0) };
+}
+
+/**
+ * Record a credential as spent (returns false if it was spent before)
+ */
+export async function spendCredential(db, surveyId, credentialHash) {
+  const result = await db.prepare(`
+    INSERT OR IGNORE INTO spent_credentials (credential_hash, survey_id) VALUES (?, ?)
+  `).bind(credentialHash, surveyId).run();
+  
+  return result.meta.changes === 1;
+}
+
+/**
+ * Make a spent credential usable again (when storing its response failed)
+ */
+export async function unspendCredential(db, surveyId, credentialHash) {
+  await db.prepare(`
+    DELETE FROM spent_credentials WHERE credential_hash = ? AND survey_id = ?
+  `).bind(credentialHash, surveyId).run();
+}
+
+/**
+ * Register the analyst verification key for a survey created before signed
+ * challenges, proving access once with the old analysis key hash (which is then cleared)
+ * Surveys from before analysis passwords have only creator_key_hash, which is
+ * accepted for them as it was before signed challenges.
+ */
+export async function registerAnalysisVerifyKey(db, surveyId, keyHash, verifyKey) {
+  const result = await db.prepare(`
+    UPDATE surveys
+    SET analysis_verify_key = ?, analysis_key_hash = NULL
+    WHERE id = ?
+      AND analysis_verify_key IS NULL
+      AND COALESCE(analysis_key_hash, creator_key_hash) = ?
+  `).bind(verifyKey, surveyId, keyHash).run();
+  
+  if (result.meta.changes !== 1) {
+    throw new Error('Unauthorized - incorrect analysis key or verification key already registered');
+  }
+  
+  return { success: true };
+}
+
+/**
+ * Get a survey's encrypted answer tags and how many times they have been saved
+ */
+export async function getAnswerTags(db, surveyId) {
+  const row = await db.prepare(`
+    SELECT answer_tags, tags_version FROM surveys WHERE id = ?
+  `).bind(surveyId).first();
+  
+  return {
+    encryptedTags: row && row.answer_tags ? Array.from(new Uint8Array(row.answer_tags)) : null,
+    version: row ? row.tags_version : 0
+  };
+}
+
+/**
+ * Replace a survey's encrypted answer tags (analyst only).
+ * baseVersion is the version the change was made from; if someone else
+ * saved in the meantime, nothing is written.
+ */
+export async function saveAnswerTags(db, surveyId, encryptedTags, baseVersion) {
+  const result = await db.prepare(`
+    UPDATE surveys SET answer_tags = ?, tags_version = tags_version + 1
+    WHERE id = ? AND tags_version = ?
+  `).bind(new Uint8Array(encryptedTags), surveyId, baseVersion).run();
+  
+  if (result.meta.changes === 0) {
+    throw new Error('Conflict - the tags were changed since they were loaded, reload and try again');
+  }
+  
+  return { version: baseVersion + 1 };
+}
+
+function toNote(row) {
+  return {
+    id: row.id,
+    encryptedData: Array.from(new Uint8Array(row.data)),
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Get a survey's encrypted analyst notes, oldest first
+ */
+export async function getAnalystNotes(db, surveyId) {
+  const results = await db.prepare(`
+    SELECT * FROM analyst_notes WHERE survey_id = ? ORDER BY created_at ASC, id ASC
+  `).bind(surveyId).all();
+  
+  return results.results.map(toNote);
+}
+
+/**
+ * Add an encrypted analyst note as version 1
+ */
+export async function createAnalystNote(db, surveyId, id, encryptedData) {
+  const now = Date.now();
+  
+  await db.prepare(`
+    INSERT INTO analyst_notes (id, survey_id, data, version, created_at, updated_at)
+    VALUES (?, ?, ?, 1, ?, ?)
+  `).bind(id, surveyId, new Uint8Array(encryptedData), now, now).run();
+  
+  return { id, version: 1, createdAt: now, updatedAt: now };
+}
+
+/**
+ * Replace an analyst note made from baseVersion, which must still be current
+ */
+export async function updateAnalystNote(db, surveyId, id, encryptedData, baseVersion) {
+  const now = Date.now();
+  
+  const result = await db.prepare(`
+    UPDATE analyst_notes SET data = ?, version = version + 1, updated_at = ?
+    WHERE id = ? AND survey_id = ? AND version = ?
+  `).bind(new Uint8Array(encryptedData), now, id, surveyId, baseVersion).run();
+  
+  if (result.meta.changes === 0) {
+    await throwNoteConflict(db, surveyId, id);
+  }
+  
+  return { id, version: baseVersion + 1, updatedAt: now };
+}
+
+/**
+ * Delete an analyst note, unless someone changed it after baseVersion
+ */
+export async function deleteAnalystNote(db, surveyId, id, baseVersion) {
+  const result = await db.prepare(`
+    DELETE FROM analyst_notes WHERE id = ? AND survey_id = ? AND version = ?
+  `).bind(id, surveyId, baseVersion).run();
+  
+  if (result.meta.changes === 0) {
+    await throwNoteConflict(db, surveyId, id);
+  }
+}
+
+// Tell a missing note apart from one changed by someone else
+async function throwNoteConflict(db, surveyId, id) {
+  const row = await db.prepare(`
+    SELECT version FROM analyst_notes WHERE id = ? AND survey_id = ?
+  `).bind(id, surveyId).first();
+  
+  if (!row) {
+    throw new Error('Note not found');
+  }
+  throw new Error('Conflict - the note was changed since it was loaded, reload and try again');
+}
+
+/**
+ * Get the survey's response log signing key (JWKs), or null before the first response
+ */
+export async function getLogSigningKey(db, surveyId) {
+  const row = await db.prepare(`
+    SELECT log_public_key, log_private_key FROM surveys WHERE id = ?
+  `).bind(surveyId).first();
+  
+  if (!row || !row.log_public_key) {
+    return null;
+  }
+  
+  return {
+    publicKey: JSON.parse(row.log_public_key),
+    privateKey: JSON.parse(row.log_private_key)
+  };
+}
+
+/**
+ * Store the survey's response log signing key (ignored if one is already set)
+ */
+export async function setLogSigningKey(db, surveyId, publicKey, privateKey) {
+  await db.prepare(`
+    UPDATE surveys SET log_public_key = ?, log_private_key = ?
+    WHERE id = ? AND log_public_key IS NULL
+  `).bind(JSON.stringify(publicKey), JSON.stringify(privateKey), surveyId).run();
+}
+
+function toTreeHead(row) {
+  return {
+    treeSize: row.tree_size,
+    rootHash: row.root_hash,
+    signature: row.signature
+  };
+}
+
+/**
+ * Get the survey's latest signed tree head (null while the log is empty)
+ */
+export async function getLatestTreeHead(db, surveyId) {
+  const row = await db.prepare(`
+    SELECT * FROM log_tree_heads WHERE survey_id = ? ORDER BY tree_size DESC LIMIT 1
+  `).bind(surveyId).first();
+  
+  return row ? toTreeHead(row) : null;
+}
+
+/**
+ * Get signed tree heads larger than a given size, oldest first
+ */
+export async function getTreeHeads(db, surveyId, afterSize, limit) {
+  const result = await db.prepare(`
+    SELECT * FROM log_tree_heads WHERE survey_id = ? AND tree_size > ?
+    ORDER BY tree_size ASC LIMIT ?
+  `).bind(surveyId, afterSize, limit).all();
+  
+  return result.results.map(toTreeHead);
+}
+
+/**
+ * Get stored log nodes, given as { level, index } (returns them with their hash)
+ */
+export async function getLogNodes(db, surveyId, nodes) {
+  if (nodes.length === 0) {
+    return [];
+  }
+  
+  // D1 allows 100 bound parameters per statement
+  const chunks = [];
+  for (let i = 0; i < nodes.length; i += 40) {
+    chunks.push(nodes.slice(i, i + 40));
+  }
+  
+  const results = await db.batch(chunks.map(chunk => db.prepare(`
+    SELECT level, node_index, hash FROM log_nodes
+    WHERE survey_id = ? AND (level, node_index) IN (VALUES ${chunk.map(() => '(?, ?)').join(', ')})
+  `).bind(surveyId, ...chunk.flatMap(node => [node.level, node.index]))));
+  
+  return results.flatMap(result => result.results.map(row => ({
+    level: row.level,
+    index: row.node_index,
+    hash: row.hash
+  })));
+}
+
+/**
+ * Statements that append a leaf's new nodes and the signed tree head, optionally
+ * only where `condition` ({ sql, params }) holds
+ * A concurrent append to the same survey fails on the primary keys, rolling back the batch.
+ */
+function logEntryStatements(db, surveyId, logEntry, condition = null) {
+  if (!logEntry) {
+    return [];
+  }
+  
+  const where = condition ? `WHERE ${condition.sql}` : '';
+  const params = condition ? condition.params : [];
+  const { nodes, treeHead } = logEntry;
+  return [
+    ...nodes.map(node => db.prepare(`
+      INSERT INTO log_nodes (survey_id, level, node_index, hash) SELECT ?, ?, ?, ? ${where}
+    `).bind(surveyId, node.level, node.index, node.hash, ...params)),
+    db.prepare(`
+      INSERT INTO log_tree_heads (survey_id, tree_size, root_hash, signature) SELECT ?, ?, ?, ? ${where}
+    `).bind(surveyId, treeHead.treeSize, treeHead.rootHash, treeHead.signature, ...params)
+  ];
+}
+
+/**
+ * Delete surveys whose retention period has passed (cleanup job)
+ */
+export async function cleanupExpiredSurveys(db, defaultRetentionDays = DEFAULT_RETENTION_DAYS) {
+  const now = Date.now();
+  
+  // Retention counts from the closing date, or from creation for surveys that never close
+  const expiredSurveys = `
+    SELECT id FROM surveys
+    WHERE COALESCE(expires_at, created_at) + COALESCE(retention_days, ?) * ${DAY} < ?
+  `;
+  
+  // Delete challenges, versions and responses first (foreign key constraint), in one transaction
+  const [, , , , , , , , , responseResult, surveyResult] = await db.batch([
+    db.prepare(`DELETE FROM auth_challenges WHERE survey_id IN (${expiredSurveys})`),
+    db.prepare(`DELETE FROM used_pow_challenges WHERE survey_id IN (${expiredSurveys})`),
+    db.prepare(`DELETE FROM invite_tokens WHERE survey_id IN (${expiredSurveys})`),
+    db.prepare(`DELETE FROM credential_requests WHERE survey_id IN (${expiredSurveys})`),
+    db.prepare(`DELETE FROM spent_credentials WHERE survey_id IN (${expiredSurveys})`),
+    db.prepare(`DELETE FROM log_nodes WHERE survey_id IN (${expiredSurveys})`),
+    db.prepare(`DELETE FROM log_tree_heads WHERE survey_id IN (${expiredSurveys})`),
+    db.prepare(`DELETE FROM analyst_notes WHERE survey_id IN (${expiredSurveys})`),
+    db.prepare(`DELETE FROM survey_versions WHERE survey_id IN (${expiredSurveys})`),
+    db.prepare(`DELETE FROM responses WHERE survey_id IN (${expiredSurveys})`),
+    db.prepare(`DELETE FROM surveys WHERE id IN (${expiredSurveys})`)
+  ].map(stmt => stmt.bind(defaultRetentionDays, now)));
+  
+  return {
+    deletedSurveys: surveyResult.meta.changes,
+    deletedResponses: responseResult.meta.changes
+  };
+}
+
+/**
+ * Record a scheduled cleanup run
+ */
+export async function recordCleanupRun(db, run) {
+  const { startedAt, finishedAt, deletedSurveys = 0, deletedResponses = 0, error = null } = run;
+  
+  await db.prepare(`
+    INSERT INTO cleanup_runs (started_at, finished_at, deleted_surveys, deleted_responses, error)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(startedAt, finishedAt, deletedSurveys, deletedResponses, error).run();
+  
+  // Keep a year of history
+  await db.prepare(`
+    DELETE FROM cleanup_runs WHERE started_at < ?
+  `).bind(startedAt - 365 * DAY).run();
+}
+
+/**
+ * Count a request against a sliding window rate limit
+ * Returns { allowed: true } and records the request, or { allowed: false, retryAfter }
+ * with the milliseconds until the oldest request in the window expires
+ */
+export async function checkRateLimit(db, key, limit, windowMs) {
+  const now = Date.now();
+  
+  // Count and record in one statement, so a parallel burst cannot all pass the count first
+  const result = await db.prepare(`
+    INSERT INTO rate_limit_hits (key, hit_at)
+    SELECT ?, ?
+    WHERE (SELECT COUNT(*) FROM rate_limit_hits WHERE key = ? AND hit_at > ?) < ?
+  `).bind(key, now, key, now - windowMs, limit).run();
+  
+  if (result.meta.changes !== 1) {
+    const window = await db.prepare(`
+      SELECT MIN(hit_at) as oldest FROM rate_limit_hits WHERE key = ? AND hit_at > ?
+    `).bind(key, now - windowMs).first();
+    
+    return { allowed: false, retryAfter: (window.oldest ?? now) + windowMs - now };
+  }
+  
+  await db.prepare(`
+    DELETE FROM rate_limit_hits WHERE key = ? AND hit_at <= ?
+  `).bind(key, now - windowMs).run();
+  
+  return { allowed: true };
+}
+
+/**
+ * Delete rate limit records older than the given time (cleanup job)
+ */
+export async function pruneRateLimitHits(db, before) {
+  const result = await db.prepare(`
+    DELETE FROM rate_limit_hits WHERE hit_at < ?
+  `).bind(before).run();
+  
+  return result.meta.changes;
+}
+
+/**
+ * Delete a survey and all its responses (analyst only, by analysis ID)
+ */
+export async function deleteSurveyByAnalysisId(db, analysisId) {
+  const survey = await getSurveyByAnalysisId(db, analysisId);
   
   if (!survey) {
     throw new Error('Survey not found');
   }
   
-  if (survey.creator_key_hash !== creatorKeyHash) {
-    throw new Error('Unauthorized - only survey creator can delete');
-  }
+  // Delete challenges, versions and responses first (foreign key constraint)
+  await db.prepare(`
+    DELETE FROM auth_challenges WHERE survey_id = ?
+  `).bind(survey.id).run();
+  
+  await db.prepare(`
+    DELETE FROM used_pow_challenges WHERE survey_id = ?
+  `).bind(survey.id).run();
+  
+  await db.prepare(`
+    DELETE FROM invite_tokens WHERE survey_id = ?
+  `).bind(survey.id).run();
+  
+  await db.prepare(`
+    DELETE FROM credential_requests WHERE survey_id = ?
+  `).bind(survey.id).run();
+  
+  await db.prepare(`
+    DELETE FROM spent_credentials WHERE survey_id = ?
+  `).bind(survey.id).run();
+  
+  await db.prepare(`
+    DELETE FROM log_nodes WHERE survey_id = ?
+  `).bind(survey.id).run();
+  
+  await db.prepare(`
+    DELETE FROM log_tree_heads WHERE survey_id = ?
+  `).bind(survey.id).run();
+  
+  await db.prepare(`
+    DELETE FROM analyst_notes WHERE survey_id = ?
+  `).bind(survey.id).run();
+  
+  await db.prepare(`
+    DELETE FROM survey_versions WHERE survey_id = ?
+  `).bind(survey.id).run();
   
-  // Delete responses first (foreign key constraint)
   const responseResult = await db.prepare(`
     DELETE FROM responses WHERE survey_id = ?
   `).bind(survey.id).run();
@@ -326,34 +1065,63 @@ export async function deleteSurveyByAnalysisId(db, analysisId, creatorKeyHash) {
     DELETE FROM surveys WHERE id = ?
   `).bind(survey.id).run();
   
-  if (surveyResult.changes === 0) {
+  if (surveyResult.meta.changes === 0) {
     throw new Error('Survey not found or already deleted');
   }
   
   return {
     deletedSurvey: true,
-    deletedResponses: responseResult.changes
+    deletedResponses: responseResult.meta.changes
   };
 }
 
 /**
- * Delete a survey and all its responses (creator only, by survey ID - for backwards compatibility)
+ * Delete a survey and all its responses (analyst only, by survey ID - for backwards compatibility)
  */
-export async function deleteSurvey(db, surveyId, creatorKeyHash) {
-  // First verify the creator
-  const survey = await db.prepare(`
-    SELECT creator_key_hash FROM surveys WHERE id = ?
-  `).bind(surveyId).first();
+export async function deleteSurvey(db, surveyId) {
+  const survey = await getSurvey(db, surveyId);
   
   if (!survey) {
     throw new Error('Survey not found');
   }
   
-  if (survey.creator_key_hash !== creatorKeyHash) {
-    throw new Error('Unauthorized - only survey creator can delete');
-  }
+  // Delete challenges, versions and responses first (foreign key constraint)
+  await db.prepare(`
+    DELETE FROM auth_challenges WHERE survey_id = ?
+  `).bind(surveyId).run();
+  
+  await db.prepare(`
+    DELETE FROM used_pow_challenges WHERE survey_id = ?
+  `).bind(surveyId).run();
+  
+  await db.prepare(`
+    DELETE FROM invite_tokens WHERE survey_id = ?
+  `).bind(surveyId).run();
+  
+  await db.prepare(`
+    DELETE FROM credential_requests WHERE survey_id = ?
+  `).bind(surveyId).run();
+  
+  await db.prepare(`
+    DELETE FROM spent_credentials WHERE survey_id = ?
+  `).bind(surveyId).run();
+  
+  await db.prepare(`
+    DELETE FROM log_nodes WHERE survey_id = ?
+  `).bind(surveyId).run();
+  
+  await db.prepare(`
+    DELETE FROM log_tree_heads WHERE survey_id = ?
+  `).bind(surveyId).run();
+  
+  await db.prepare(`
+    DELETE FROM analyst_notes WHERE survey_id = ?
+  `).bind(surveyId).run();
+  
+  await db.prepare(`
+    DELETE FROM survey_versions WHERE survey_id = ?
+  `).bind(surveyId).run();
   
-  // Delete responses first (foreign key constraint)
   const responseResult = await db.prepare(`
     DELETE FROM responses WHERE survey_id = ?
   `).bind(surveyId).run();
@@ -363,12 +1131,12 @@ export async function deleteSurvey(db, surveyId, creatorKeyHash) {
     DELETE FROM surveys WHERE id = ?
   `).bind(surveyId).run();
   
-  if (surveyResult.changes === 0) {
+  if (surveyResult.meta.changes === 0) {
     throw new Error('Survey not found or already deleted');
   }
   
   return {
     deletedSurvey: true,
-    deletedResponses: responseResult.changes
+    deletedResponses: responseResult.meta.changes
   };
 }
\ No newline at end of file
@@ -15,9 +15,62 @@ import {
   canAcceptResponses,
   deleteSurvey,
   deleteSurveyByAnalysisId,
-  cleanupExpiredSurveys
+  createAuthChallenge,
+  consumeAuthChallenge,
+  registerAnalysisVerifyKey,
+  getSurveyVersions,
+  updateSurveyDefinition,
+  updateSurveyStatus,
+  SURVEY_STATUSES,
+  cleanupExpiredSurveys,
+  recordCleanupRun,
+  checkRateLimit,
+  pruneRateLimitHits,
+  consumePowChallenge,
+  releasePowChallenge,
+  createInviteTokens,
+  getInviteStats,
+  consumeInviteToken,
+  releaseInviteToken,
+  setBlindSigningKey,
+  createCredentialRequest,
+  getCredentialRequest,
+  getCredentialRequests,
+  signCredentialRequests,
+  spendCredential,
+  unspendCredential,
+  replaceResponse,
+  withdrawResponse,
+  getResponse,
+  getLogSigningKey,
+  setLogSigningKey,
+  getLatestTreeHead,
+  getTreeHeads,
+  getLogNodes,
+  getAnswerTags,
+  saveAnswerTags,
+  getAnalystNotes,
+  createAnalystNote,
+  updateAnalystNote,
+  deleteAnalystNote
 } from './database.js';
 
+// Import response log (Merkle tree) helpers
+import {
+  hashLeaf,
+  appendLeaf,
+  nodeKey,
+  perfectNodes,
+  inclusionRanges,
+  consistencyRanges,
+  proofNodes,
+  proofHashes
+} from './merkle-log.js';
+
+// Import helpers shared with the browser
+import { bytesToHex, hexToBytes } from '../shared/crypto.js';
+import { countLeadingZeroBits } from '../shared/proof-of-work.js';
+
 // Import inlined static assets
 import { getFile, listFiles } from './assets.js';
 
@@ -28,17 +81,62 @@ function generateId() {
   return (timestamp + randomPart).toUpperCase().substring(0, 26);
 }
 
-// Global cleanup cooldown tracker (in-memory, resets on worker restart)
-let lastCleanupTime = 0;
-let cleanupInProgress = false;
-const CLEANUP_COOLDOWN = 60 * 60 * 1000; // 1 hour in milliseconds
+// Analyst challenges must be signed and used within 5 minutes
+const CHALLENGE_TTL = 5 * 60 * 1000;
+
+// Unused analyst challenges one client may hold for a survey at once, so they cannot
+// be piled up; the cap is per client so one caller cannot lock out the analysts
+const MAX_OPEN_CHALLENGES = 100;
+
+// Upper bounds for creator-chosen response limits and data retention
+const MAX_RESPONSE_LIMIT = 100000;
+const MAX_RETENTION_DAYS = 365;
+
+// Proof-of-work challenges stay valid long enough to fill in a survey
+const POW_CHALLENGE_TTL = 2 * 60 * 60 * 1000;
+
+// Highest difficulty a creator can choose (leading zero bits, about 16M hashes on average)
+const MAX_POW_DIFFICULTY = 24;
+
+// Signing secret used when POW_SECRET is not configured. It only lives as long as
+// this isolate, so it is meant for local development; deploy.sh always sets one.
+let fallbackPowSecret = null;
+
+// Most invite tokens that can be added (or credential requests signed) in one request
+const MAX_INVITES_PER_REQUEST = 500;
+
+// Anonymous credentials are RSA signatures made blind (see src/shared/blind-signature.js)
+const BLIND_KEY_ALGORITHM = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+
+// Response log tree heads are signed with a per-survey ECDSA key (see src/shared/merkle-log.js)
+const LOG_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+
+// Retries (with random backoff) when a concurrent submission takes the next log leaf first
+const LOG_APPEND_ATTEMPTS = 10;
+const LOG_APPEND_BACKOFF = 50;
+
+// Most tree heads returned by one request
+const MAX_TREE_HEADS_PER_REQUEST = 1000;
+
+// Per-route rate limits as "<requests>/<seconds>", overridable with wrangler.toml vars ("0" disables)
+const RATE_LIMITS = {
+  createSurvey: { variable: 'RATE_LIMIT_CREATE_SURVEY', fallback: '10/3600' },
+  submitResponse: { variable: 'RATE_LIMIT_SUBMIT_RESPONSE', fallback: '60/600' },
+  editResponse: { variable: 'RATE_LIMIT_EDIT_RESPONSE', fallback: '60/600' },
+  requestCredential: { variable: 'RATE_LIMIT_REQUEST_CREDENTIAL', fallback: '60/600' },
+  analystChallenge: { variable: 'RATE_LIMIT_ANALYST_CHALLENGE', fallback: '300/600' }
+};
+
+// Longest allowed rate limit window; older records are pruned by the scheduled cleanup
+const MAX_RATE_LIMIT_WINDOW = 24 * 60 * 60 * 1000;
 
 // CORS headers
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   'Access-Control-Max-Age': '86400',
+  'Access-Control-Expose-Headers': 'Retry-After',
 };
 
 /**
@@ -75,92 +173,1345 @@ function errorResponse(message, status = 400) {
 }
 
 /**
- * Handle survey creation
+ * Generate a random hex string from the given number of bytes
+ */
+function randomHex(length) {
+  return bytesToHex(crypto.getRandomValues(new Uint8Array(length)));
+}
+
+/**
+ * Parse a "<requests>/<seconds>" rate limit, or return null if it is disabled or invalid
+ */
+function parseRateLimit(value) {
+  const match = String(value).trim().match(/^(\d+)\/(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  
+  const limit = parseInt(match[1], 10);
+  const windowMs = parseInt(match[2], 10) * 1000;
+  if (limit === 0 || windowMs === 0) {
+    return null;
+  }
+  
+  return { limit, windowMs: Math.min(windowMs, MAX_RATE_LIMIT_WINDOW) };
+}
+
+/**
+ * SHA-256 a string, returning hex
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+/**
+ * Hash the client IP with a per-deployment salt so raw addresses are never stored
+ */
+async function hashClientIp(request, env) {
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  return sha256Hex(`${env.RATE_LIMIT_SALT || ''}:${ip}`);
+}
+
+/**
+ * Apply a route's rate limit to the calling client
+ * Returns a 429 response with Retry-After when the limit is exceeded, otherwise null
+ */
+async function enforceRateLimit(request, env, route, scope = '') {
+  const { variable, fallback } = RATE_LIMITS[route];
+  const rule = parseRateLimit(env[variable] ?? fallback);
+  if (!rule) {
+    return null;
+  }
+  
+  const key = `${route}:${scope}:${await hashClientIp(request, env)}`;
+  const result = await checkRateLimit(env.DB, key, rule.limit, rule.windowMs);
+  if (result.allowed) {
+    return null;
+  }
+  
+  const retryAfter = Math.max(1, Math.ceil(result.retryAfter / 1000));
+  const response = errorResponse(`Too many requests - try again in ${retryAfter} seconds`, 429);
+  response.headers.set('Retry-After', String(retryAfter));
+  return response;
+}
+
+/**
+ * Import the HMAC key that signs proof-of-work challenges
+ */
+async function getPowKey(env) {
+  if (!env.POW_SECRET && !fallbackPowSecret) {
+    fallbackPowSecret = randomHex(32);
+  }
+  
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.POW_SECRET || fallbackPowSecret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+/**
+ * Issue a signed proof-of-work challenge: "<surveyId>.<issuedAt>.<random>.<hmac>"
+ * The server keeps no state until a solution is submitted.
+ */
+async function createPowChallenge(env, surveyId) {
+  const payload = `${surveyId}.${Date.now()}.${randomHex(16)}`;
+  const signature = await crypto.subtle.sign('HMAC', await getPowKey(env), new TextEncoder().encode(payload));
+  return `${payload}.${bytesToHex(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verify a proof-of-work solution for a survey
+ * The solution is a nonce such that SHA-256("<challenge>:<nonce>") starts with
+ * the survey's difficulty in zero bits (see src/shared/proof-of-work.js).
+ * The challenge is not marked as used here: the caller spends it with
+ * consumePowChallenge once the rest of the submission has been accepted.
+ */
+async function verifyProofOfWork(env, survey, proof) {
+  if (!proof || typeof proof.challenge !== 'string' || typeof proof.nonce !== 'string') {
+    return { valid: false, reason: 'Missing proof of work' };
+  }
+  
+  const match = proof.challenge.match(/^([a-zA-Z0-9]+)\.(\d+)\.[0-9a-f]{32}\.([0-9a-f]{64})$/);
+  if (!match || !/^\d{1,16}$/.test(proof.nonce)) {
+    return { valid: false, reason: 'Malformed proof of work' };
+  }
+  
+  const [, surveyId, issuedAt, signature] = match;
+  const payload = proof.challenge.slice(0, proof.challenge.lastIndexOf('.'));
+  const signed = await crypto.subtle.verify(
+    'HMAC',
+    await getPowKey(env),
+    hexToBytes(signature),
+    new TextEncoder().encode(payload)
+  );
+  if (!signed || surveyId !== survey.id) {
+    return { valid: false, reason: 'Invalid proof-of-work challenge' };
+  }
+  
+  const expiresAt = parseInt(issuedAt, 10) + POW_CHALLENGE_TTL;
+  if (expiresAt <= Date.now()) {
+    return { valid: false, reason: 'Proof-of-work challenge expired' };
+  }
+  
+  const data = new TextEncoder().encode(`${proof.challenge}:${proof.nonce}`);
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  if (countLeadingZeroBits(hash) < survey.powDifficulty) {
+    return { valid: false, reason: 'Proof of work does not meet the required difficulty' };
+  }
+  
+  return { valid: true, challenge: proof.challenge, expiresAt };
+}
+
+/**
+ * Verify an anonymous credential: the creator's signature on a random 32-byte value
+ */
+async function verifyCredential(survey, credential) {
+  if (!credential || typeof credential.credential !== 'string' || typeof credential.signature !== 'string' ||
+      !/^[0-9a-f]{64}$/.test(credential.credential) || !/^([0-9a-f]{2})+$/.test(credential.signature)) {
+    return { valid: false, reason: 'This survey requires an anonymous credential' };
+  }
+  
+  const key = await crypto.subtle.importKey('jwk', survey.blindPublicKey, BLIND_KEY_ALGORITHM, false, ['verify']);
+  const valid = await crypto.subtle.verify(
+    BLIND_KEY_ALGORITHM.name,
+    key,
+    hexToBytes(credential.signature),
+    hexToBytes(credential.credential)
+  );
+  if (!valid) {
+    return { valid: false, reason: 'Invalid credential signature' };
+  }
+  
+  return { valid: true, credentialHash: await sha256Hex(credential.credential) };
+}
+
+/**
+ * Get the survey's response log signing key, creating it with the first response
+ */
+async function getOrCreateLogSigningKey(db, surveyId) {
+  const existing = await getLogSigningKey(db, surveyId);
+  if (existing) {
+    return existing;
+  }
+  
+  const keyPair = await crypto.subtle.generateKey(LOG_KEY_ALGORITHM, true, ['sign', 'verify']);
+  await setLogSigningKey(
+    db,
+    surveyId,
+    await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+  );
+  
+  // Another request may have stored its key first
+  return getLogSigningKey(db, surveyId);
+}
+
+/**
+ * Load stored log nodes into a Map keyed by nodeKey()
+ */
+async function loadLogNodes(db, surveyId, nodes) {
+  const stored = await getLogNodes(db, surveyId, nodes);
+  return new Map(stored.map(node => [nodeKey(node.level, node.index), node.hash]));
+}
+
+/**
+ * Compute the log entry for a response: the new leaf, its nodes, inclusion proof and signed tree head
+ */
+async function buildLogEntry(db, surveyId, ciphertext) {
+  const { publicKey, privateKey } = await getOrCreateLogSigningKey(db, surveyId);
+  const latest = await getLatestTreeHead(db, surveyId);
+  const leafIndex = latest ? latest.treeSize : 0;
+  
+  const nodes = await loadLogNodes(db, surveyId, perfectNodes(0, leafIndex));
+  const leafHash = await hashLeaf(new Uint8Array(ciphertext));
+  const appended = await appendLeaf(leafIndex, nodes, leafHash);
+  
+  const treeSize = leafIndex + 1;
+  const key = await crypto.subtle.importKey('jwk', privateKey, LOG_KEY_ALGORITHM, false, ['sign']);
+  const message = new TextEncoder().encode(`encrypted-survey-log:v1:${surveyId}:${treeSize}:${appended.rootHash}`);
+  const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key, message);
+  
+  return {
+    leafIndex,
+    leafHash,
+    nodes: appended.nodes,
+    proof: appended.proof,
+    treeHead: { treeSize, rootHash: appended.rootHash, signature: bytesToHex(new Uint8Array(signature)) },
+    publicKey
+  };
+}
+
+/**
+ * Receipt for a response already in the log, proven against the latest tree head
+ * (null for responses stored before the log existed)
+ */
+async function getLogReceipt(db, surveyId, leafIndex, ciphertext) {
+  if (leafIndex === null) {
+    return null;
+  }
+  
+  const { publicKey } = await getLogSigningKey(db, surveyId);
+  const treeHead = await getLatestTreeHead(db, surveyId);
+  const ranges = inclusionRanges(leafIndex, treeHead.treeSize);
+  const nodes = await loadLogNodes(db, surveyId, proofNodes(ranges));
+  
+  return {
+    leafIndex,
+    leafHash: await hashLeaf(new Uint8Array(ciphertext)),
+    proof: await proofHashes(ranges, nodes),
+    treeHead,
+    publicKey
+  };
+}
+
+/**
+ * Store a response together with its log entry and return the respondent's receipt
+ * Concurrent submissions race for the next leaf; the losing batch rolls back and is retried.
+ */
+async function storeWithLogEntry(db, surveyId, ciphertext, store) {
+  for (let attempt = 1; ; attempt++) {
+    const entry = await buildLogEntry(db, surveyId, ciphertext);
+    
+    try {
+      const stored = await store(entry);
+      const { leafIndex, leafHash, proof, treeHead, publicKey } = entry;
+      return { stored, receipt: { leafIndex, leafHash, proof, treeHead, publicKey } };
+    } catch (error) {
+      if (attempt >= LOG_APPEND_ATTEMPTS || !/UNIQUE constraint failed: log_/.test(error.message)) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.random() * LOG_APPEND_BACKOFF * attempt));
+    }
+  }
+}
+
+/**
+ * Verify a signed analyst request
+ * Expects "Authorization: Signature <challenge>:<signature>", where the
+ * Ed25519 signature covers "<challenge>:<METHOD>:<path>". Each challenge is
+ * consumed on use, so a captured header cannot be replayed.
+ */
+async function authorizeAnalyst(request, env, survey) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Signature ([0-9a-f]{64}):([0-9a-f]{128})$/);
+  
+  if (!match) {
+    return { authorized: false, reason: 'Missing or malformed authorization signature' };
+  }
+  
+  if (!survey.analysisVerifyKey) {
+    return { authorized: false, reason: 'Unauthorized - no verification key registered for this survey' };
+  }
+  
+  const [, challenge, signature] = match;
+  const path = new URL(request.url).pathname;
+  const message = new TextEncoder().encode(`${challenge}:${request.method}:${path}`);
+  
+  const verifyKey = await crypto.subtle.importKey(
+    'raw',
+    hexToBytes(survey.analysisVerifyKey),
+    { name: 'Ed25519' },
+    false,
+    ['verify']
+  );
+  
+  const valid = await crypto.subtle.verify({ name: 'Ed25519' }, verifyKey, hexToBytes(signature), message);
+  if (!valid) {
+    return { authorized: false, reason: 'Unauthorized - invalid signature' };
+  }
+  
+  const consumed = await consumeAuthChallenge(env.DB, survey.id, challenge);
+  if (!consumed) {
+    return { authorized: false, reason: 'Unauthorized - challenge expired or already used' };
+  }
+  
+  return { authorized: true };
+}
+
+/**
+ * Handle survey creation
+ */
+async function handleCreateSurvey(request, env) {
+  try {
+    const limited = await enforceRateLimit(request, env, 'createSurvey');
+    if (limited) {
+      return limited;
+    }
+    
+    const body = await request.json();
+    const { encryptedSurvey } = body;
+    
+    if (!encryptedSurvey) {
+      return errorResponse('Missing encrypted survey data');
+    }
+    
+    // Validate required fields (respondent and analyst roles each get their own key)
+    const required = [
+      'id', 'salt', 'encryptedData', 'keyHash', 'createdAt',
+      'analysisSalt', 'wrappedKeys', 'analysisVerifyKey'
+    ];
+    for (const field of required) {
+      if (!encryptedSurvey[field]) {
+        return errorResponse(`Missing required field: ${field}`);
+      }
+    }
+    
+    if (!/^[0-9a-f]{64}$/.test(encryptedSurvey.analysisVerifyKey)) {
+      return errorResponse('Invalid analysis verification key');
+    }
+    
+    // Closing date, response limit and retention are optional but stored in the clear
+    const { expiresAt, maxResponses, retentionDays, powDifficulty } = encryptedSurvey;
+    if (expiresAt != null && (!Number.isInteger(expiresAt) || expiresAt <= Date.now())) {
+      return errorResponse('Closing date must be in the future');
+    }
+    if (maxResponses != null && (!Number.isInteger(maxResponses) || maxResponses < 1 || maxResponses > MAX_RESPONSE_LIMIT)) {
+      return errorResponse(`Response limit must be between 1 and ${MAX_RESPONSE_LIMIT}`);
+    }
+    if (retentionDays != null && (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > MAX_RETENTION_DAYS)) {
+      return errorResponse(`Retention must be between 1 and ${MAX_RETENTION_DAYS} days`);
+    }
+    if (powDifficulty != null && (!Number.isInteger(powDifficulty) || powDifficulty < 0 || powDifficulty > MAX_POW_DIFFICULTY)) {
+      return errorResponse(`Proof-of-work difficulty must be between 0 and ${MAX_POW_DIFFICULTY}`);
+    }
+    
+    // Prepare data for database
+    const surveyData = {
+      id: encryptedSurvey.id,
+      analysisId: generateId(), // Generate separate analysis ID
+      title: '', // Will be encrypted in the encryptedData
+      description: '',
+      questions: encryptedSurvey.encryptedData,
+      salt: encryptedSurvey.salt,
+      createdAt: encryptedSurvey.createdAt,
+      expiresAt: expiresAt || null,
+      maxResponses: maxResponses || null,
+      retentionDays: retentionDays || null,
+      powDifficulty: powDifficulty || 0,
+      creatorKeyHash: encryptedSurvey.keyHash,
+      analysisVerifyKey: encryptedSurvey.analysisVerifyKey,
+      analysisSalt: encryptedSurvey.analysisSalt,
+      wrappedKeys: encryptedSurvey.wrappedKeys
+    };
+    
+    const result = await createSurvey(env.DB, surveyData);
+    
+    return apiResponse({
+      success: true,
+      data: {
+        id: result.id,
+        analysisId: result.analysisId,
+        url: `${request.url.split('/api')[0]}/survey/${result.id}`,
+        analysisUrl: `${request.url.split('/api')[0]}/analyze/${result.analysisId}`
+      }
+    });
+    
+  } catch (error) {
+    console.error('Create survey error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle getting survey data
+ */
+async function handleGetSurvey(surveyId, env) {
+  try {
+    const survey = await getSurvey(env.DB, surveyId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    // Let respondents see a survey is closed before they fill it in
+    const canAccept = await canAcceptResponses(env.DB, surveyId);
+    const invites = await getInviteStats(env.DB, surveyId);
+    
+    // Return encrypted survey data
+    return apiResponse({
+      success: true,
+      data: {
+        id: survey.id,
+        salt: survey.salt,
+        encryptedData: survey.questions,
+        createdAt: survey.createdAt,
+        expiresAt: survey.expiresAt,
+        maxResponses: survey.maxResponses,
+        schemaVersion: survey.schemaVersion,
+        closed: !canAccept.canAccept,
+        closedReason: canAccept.canAccept ? null : canAccept.reason,
+        powDifficulty: survey.powDifficulty,
+        powChallenge: survey.powDifficulty > 0 ? await createPowChallenge(env, survey.id) : null,
+        inviteRequired: invites.total > 0,
+        blindPublicKey: survey.blindPublicKey
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get survey error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle getting survey data by analysis ID
+ */
+async function handleGetSurveyByAnalysisId(analysisId, env) {
+  try {
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    // Return encrypted survey data
+    return apiResponse({
+      success: true,
+      data: {
+        id: survey.id,
+        salt: survey.salt,
+        encryptedData: survey.questions,
+        createdAt: survey.createdAt,
+        expiresAt: survey.expiresAt,
+        maxResponses: survey.maxResponses,
+        schemaVersion: survey.schemaVersion,
+        analysisSalt: survey.analysisSalt,
+        wrappedKeys: survey.wrappedKeys
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get survey by analysis ID error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle response submission
+ */
+async function handleSubmitResponse(surveyId, request, env) {
+  try {
+    const limited = await enforceRateLimit(request, env, 'submitResponse', surveyId);
+    if (limited) {
+      return limited;
+    }
+    
+    const body = await request.json();
+    const { encryptedResponse } = body;
+    
+    if (!encryptedResponse) {
+      return errorResponse('Missing encrypted response data');
+    }
+    
+    // Validate required fields
+    if (!encryptedResponse.id || !encryptedResponse.encryptedAnswers) {
+      return errorResponse('Missing required response fields');
+    }
+    
+    // The respondent keeps the edit secret; only its SHA-256 hash is stored
+    const { editSecretHash } = encryptedResponse;
+    if (editSecretHash !== undefined && (typeof editSecretHash !== 'string' || !/^[0-9a-f]{64}$/.test(editSecretHash))) {
+      return errorResponse('Invalid edit secret hash');
+    }
+    
+    // Resending a response that already arrived (e.g. from an offline queue) succeeds again,
+    // before its spent invite, credential or proof of work would reject it
+    const existing = await getResponse(env.DB, surveyId, encryptedResponse.id);
+    if (existing) {
+      const { encryptedAnswers } = encryptedResponse;
+      const same = existing.answers.length === encryptedAnswers.length &&
+        existing.answers.every((byte, i) => byte === encryptedAnswers[i]);
+      if (!same) {
+        return errorResponse('A different response with this id already exists', 409);
+      }
+      
+      return apiResponse({
+        success: true,
+        data: { id: existing.id, receipt: await getLogReceipt(env.DB, surveyId, existing.logLeafIndex, existing.answers) }
+      });
+    }
+    
+    // Check if survey can accept responses
+    const canAccept = await canAcceptResponses(env.DB, surveyId);
+    if (!canAccept.canAccept) {
+      return errorResponse(canAccept.reason, canAccept.survey ? 410 : 404);
+    }
+    
+    // The version must be one the survey has had (respondents may have loaded it before an edit)
+    const { schemaVersion } = encryptedResponse;
+    if (schemaVersion !== undefined &&
+        (!Number.isInteger(schemaVersion) || schemaVersion < 1 || schemaVersion > canAccept.survey.schemaVersion)) {
+      return errorResponse('Invalid survey version');
+    }
+    
+    // Surveys can require a solved proof-of-work challenge to slow down ballot stuffing
+    let proof = null;
+    if (canAccept.survey.powDifficulty > 0) {
+      proof = await verifyProofOfWork(env, canAccept.survey, encryptedResponse.proofOfWork);
+      if (!proof.valid) {
+        return errorResponse(proof.reason, 403);
+      }
+    }
+    
+    let inviteTokenHash = null;
+    let credentialHash = null;
+    if (canAccept.survey.blindPublicKey) {
+      // With anonymous credentials the invite token was spent on the credential request,
+      // and the response carries a blind-signed credential the server cannot link to it
+      const credential = await verifyCredential(canAccept.survey, encryptedResponse.credential);
+      if (!credential.valid) {
+        return errorResponse(credential.reason, 401);
+      }
+      
+      const spent = await spendCredential(env.DB, surveyId, credential.credentialHash);
+      if (!spent) {
+        return errorResponse('This credential has already been used', 401);
+      }
+      credentialHash = credential.credentialHash;
+    } else {
+      // Invite-only surveys take one single-use token per response. The token is only
+      // marked as spent, so the stored response is not linked to it.
+      const invites = await getInviteStats(env.DB, surveyId);
+      if (invites.total > 0) {
+        if (typeof encryptedResponse.inviteToken !== 'string' || !encryptedResponse.inviteToken) {
+          return errorResponse('This survey requires a personal invite link', 401);
+        }
+        
+        inviteTokenHash = await sha256Hex(encryptedResponse.inviteToken);
+        const consumed = await consumeInviteToken(env.DB, surveyId, inviteTokenHash);
+        if (!consumed) {
+          return errorResponse('This invite link is invalid or has already been used', 401);
+        }
+      }
+    }
+    
+    // Let the invitee try again with the same link or credential
+    const releaseInvite = async () => {
+      if (inviteTokenHash) {
+        await releaseInviteToken(env.DB, surveyId, inviteTokenHash);
+      }
+      if (credentialHash) {
+        await unspendCredential(env.DB, surveyId, credentialHash);
+      }
+    };
+    
+    // The proof of work is spent last, so a mistyped or used invite link does not
+    // cost the respondent the computation
+    if (proof && !(await consumePowChallenge(env.DB, surveyId, proof.challenge, proof.expiresAt))) {
+      await releaseInvite();
+      return errorResponse('Proof-of-work challenge already used', 403);
+    }
+    
+    const responseData = {
+      id: encryptedResponse.id,
+      surveyId: surveyId,
+      answers: encryptedResponse.encryptedAnswers,
+      submittedAt: Date.now(),
+      schemaVersion,
+      editSecretHash
+    };
+    
+    let result;
+    let receipt;
+    try {
+      ({ stored: result, receipt } = await storeWithLogEntry(
+        env.DB,
+        surveyId,
+        encryptedResponse.encryptedAnswers,
+        logEntry => submitResponse(env.DB, responseData, logEntry)
+      ));
+    } catch (error) {
+      await releaseInvite();
+      if (proof) {
+        await releasePowChallenge(env.DB, surveyId, proof.challenge);
+      }
+      throw error;
+    }
+    
+    return apiResponse({
+      success: true,
+      data: { id: result.id, receipt }
+    });
+    
+  } catch (error) {
+    console.error('Submit response error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle a respondent replacing their own response
+ * Proven by the edit secret from their receipt. No invite or credential is needed,
+ * and the response limit does not apply since no response is added.
+ */
+async function handleReplaceResponse(surveyId, responseId, request, env) {
+  try {
+    const limited = await enforceRateLimit(request, env, 'editResponse', surveyId);
+    if (limited) {
+      return limited;
+    }
+    
+    const { editSecret, encryptedResponse } = await request.json();
+    
+    if (typeof editSecret !== 'string' || !editSecret) {
+      return errorResponse('Missing edit secret');
+    }
+    
+    if (!encryptedResponse || !encryptedResponse.encryptedAnswers) {
+      return errorResponse('Missing encrypted response data');
+    }
+    
+    const canAccept = await canAcceptResponses(env.DB, surveyId, { replacing: true });
+    if (!canAccept.canAccept) {
+      return errorResponse(canAccept.reason, canAccept.survey ? 410 : 404);
+    }
+    
+    const schemaVersion = encryptedResponse.schemaVersion ?? canAccept.survey.schemaVersion;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 1 || schemaVersion > canAccept.survey.schemaVersion) {
+      return errorResponse('Invalid survey version');
+    }
+    
+    // The new answers get their own log leaf; the old leaf stays in the log
+    const editSecretHash = await sha256Hex(editSecret);
+    const { stored: replaced, receipt } = await storeWithLogEntry(
+      env.DB,
+      surveyId,
+      encryptedResponse.encryptedAnswers,
+      logEntry => replaceResponse(env.DB, surveyId, responseId, editSecretHash, {
+        answers: encryptedResponse.encryptedAnswers,
+        schemaVersion
+      }, logEntry)
+    );
+    
+    if (!replaced) {
+      return errorResponse('Response not found', 404);
+    }
+    
+    return apiResponse({
+      success: true,
+      data: { id: responseId, receipt }
+    });
+    
+  } catch (error) {
+    console.error('Replace response error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle a respondent withdrawing their own response
+ * Allowed whatever the survey's status, so consent can be withdrawn after it closes.
+ */
+async function handleWithdrawResponse(surveyId, responseId, request, env) {
+  try {
+    const limited = await enforceRateLimit(request, env, 'editResponse', surveyId);
+    if (limited) {
+      return limited;
+    }
+    
+    const { editSecret } = await request.json();
+    
+    if (typeof editSecret !== 'string' || !editSecret) {
+      return errorResponse('Missing edit secret');
+    }
+    
+    const withdrawn = await withdrawResponse(env.DB, surveyId, responseId, await sha256Hex(editSecret));
+    
+    if (!withdrawn) {
+      return errorResponse('Response not found', 404);
+    }
+    
+    return apiResponse({
+      success: true,
+      data: { withdrawn: true }
+    });
+    
+  } catch (error) {
+    console.error('Withdraw response error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Parse a tree size or leaf index from the query string (null if malformed)
+ */
+function parseLogIndex(value) {
+  return /^\d{1,9}$/.test(value || '') ? Number(value) : null;
+}
+
+/**
+ * Handle getting a survey's response log key and latest signed tree head (public)
+ */
+async function handleGetResponseLog(surveyId, env) {
+  try {
+    const survey = await getSurvey(env.DB, surveyId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const keys = await getLogSigningKey(env.DB, surveyId);
+    
+    return apiResponse({
+      success: true,
+      data: {
+        publicKey: keys ? keys.publicKey : null,
+        treeHead: await getLatestTreeHead(env.DB, surveyId)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get response log error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle listing signed tree heads after a given size, oldest first (public)
+ * Anyone can page through them to check the log only ever grew.
+ */
+async function handleGetTreeHeads(surveyId, searchParams, env) {
+  try {
+    const after = parseLogIndex(searchParams.get('after') ?? '0');
+    if (after === null) {
+      return errorResponse('Invalid tree size');
+    }
+    
+    const survey = await getSurvey(env.DB, surveyId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    return apiResponse({
+      success: true,
+      data: { treeHeads: await getTreeHeads(env.DB, surveyId, after, MAX_TREE_HEADS_PER_REQUEST) }
+    });
+    
+  } catch (error) {
+    console.error('Get tree heads error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle an inclusion or consistency proof request (public)
+ * Inclusion: ?leaf=<index>&size=<tree size>. Consistency: ?from=<older size>&size=<tree size>.
+ */
+async function handleGetLogProof(surveyId, kind, searchParams, env) {
+  try {
+    const latest = await getLatestTreeHead(env.DB, surveyId);
+    const treeSize = parseLogIndex(searchParams.get('size'));
+    
+    if (!latest || treeSize === null || treeSize < 1 || treeSize > latest.treeSize) {
+      return errorResponse('Unknown tree size', 404);
+    }
+    
+    let ranges;
+    if (kind === 'inclusion') {
+      const leafIndex = parseLogIndex(searchParams.get('leaf'));
+      if (leafIndex === null || leafIndex >= treeSize) {
+        return errorResponse('Leaf index out of range');
+      }
+      ranges = inclusionRanges(leafIndex, treeSize);
+    } else {
+      const fromSize = parseLogIndex(searchParams.get('from'));
+      if (fromSize === null || fromSize < 1 || fromSize > treeSize) {
+        return errorResponse('Tree size out of range');
+      }
+      ranges = consistencyRanges(fromSize, treeSize);
+    }
+    
+    const nodes = await loadLogNodes(env.DB, surveyId, proofNodes(ranges));
+    
+    return apiResponse({
+      success: true,
+      data: { proof: await proofHashes(ranges, nodes) }
+    });
+    
+  } catch (error) {
+    console.error('Get log proof error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle an invitee's request for an anonymous credential
+ * Spends an invite token and files the blinded credential for the creator to sign.
+ * The returned request id is the only way to collect the signature.
+ */
+async function handleRequestCredential(surveyId, request, env) {
+  try {
+    const limited = await enforceRateLimit(request, env, 'requestCredential', surveyId);
+    if (limited) {
+      return limited;
+    }
+    
+    const canAccept = await canAcceptResponses(env.DB, surveyId);
+    if (!canAccept.canAccept) {
+      return errorResponse(canAccept.reason, canAccept.survey ? 410 : 404);
+    }
+    
+    const { blindPublicKey } = canAccept.survey;
+    if (!blindPublicKey) {
+      return errorResponse('This survey does not use anonymous credentials');
+    }
+    
+    const { inviteToken, blinded } = await request.json();
+    
+    // The blinded value is hex encoded at the modulus length (JWK "n" is unpadded base64url)
+    const modulusLength = Math.floor(blindPublicKey.n.length * 3 / 4);
+    if (typeof blinded !== 'string' || blinded.length !== modulusLength * 2 || !/^[0-9a-f]+$/.test(blinded)) {
+      return errorResponse('Malformed blinded credential');
+    }
+    
+    if (typeof inviteToken !== 'string' || !inviteToken) {
+      return errorResponse('This survey requires a personal invite link', 401);
+    }
+    
+    const inviteTokenHash = await sha256Hex(inviteToken);
+    const consumed = await consumeInviteToken(env.DB, surveyId, inviteTokenHash);
+    if (!consumed) {
+      return errorResponse('This invite link is invalid or has already been used', 401);
+    }
+    
+    try {
+      const result = await createCredentialRequest(env.DB, surveyId, randomHex(16), blinded);
+      
+      return apiResponse({
+        success: true,
+        data: { requestId: result.id }
+      });
+    } catch (error) {
+      await releaseInviteToken(env.DB, surveyId, inviteTokenHash);
+      throw error;
+    }
+    
+  } catch (error) {
+    console.error('Request credential error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle collecting the creator's blind signature on a credential request
+ */
+async function handleGetCredential(surveyId, requestId, env) {
+  try {
+    const credentialRequest = await getCredentialRequest(env.DB, surveyId, requestId);
+    
+    if (!credentialRequest) {
+      return errorResponse('Credential request not found', 404);
+    }
+    
+    return apiResponse({
+      success: true,
+      data: { blindSignature: credentialRequest.blindSignature }
+    });
+    
+  } catch (error) {
+    console.error('Get credential error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle issuing a one-time analyst challenge
+ */
+async function handleCreateChallenge(analysisId, request, env) {
+  try {
+    const limited = await enforceRateLimit(request, env, 'analystChallenge', analysisId);
+    if (limited) {
+      return limited;
+    }
+    
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const challenge = randomHex(32);
+    const expiresAt = Date.now() + CHALLENGE_TTL;
+    
+    await createAuthChallenge(env.DB, survey.id, challenge, expiresAt, await hashClientIp(request, env), MAX_OPEN_CHALLENGES);
+    
+    return apiResponse({
+      success: true,
+      data: {
+        challenge,
+        expiresAt,
+        registered: Boolean(survey.analysisVerifyKey)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Create challenge error:', error);
+    
+    if (error.message.startsWith('Too many')) {
+      return errorResponse(error.message, 429);
+    }
+    
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle registering a verification key for a survey created before signed
+ * challenges (one-time upgrade authorized by the old key hash)
+ */
+async function handleRegisterVerifyKey(analysisId, request, env) {
+  try {
+    const body = await request.json();
+    const { keyHash, verifyKey } = body;
+    
+    if (!keyHash || !/^[0-9a-f]{64}$/.test(verifyKey || '')) {
+      return errorResponse('Missing key hash or invalid verification key');
+    }
+    
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const result = await registerAnalysisVerifyKey(env.DB, survey.id, keyHash, verifyKey);
+    
+    return apiResponse({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Register verify key error:', error);
+    
+    if (error.message.includes('Unauthorized')) {
+      return errorResponse(error.message, 401);
+    }
+    
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle getting survey responses (analyst only)
+ */
+async function handleGetResponses(surveyId, request, env) {
+  try {
+    const survey = await getSurvey(env.DB, surveyId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const responses = await getSurveyResponses(env.DB, surveyId);
+    const stats = await getSurveyStats(env.DB, surveyId);
+    
+    return apiResponse({
+      success: true,
+      data: {
+        responses,
+        stats
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get responses error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle getting survey responses by analysis ID (analyst only)
+ */
+async function handleGetResponsesByAnalysisId(analysisId, request, env) {
+  try {
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const responses = await getSurveyResponsesByAnalysisId(env.DB, analysisId);
+    const stats = await getSurveyStatsByAnalysisId(env.DB, analysisId);
+    
+    return apiResponse({
+      success: true,
+      data: {
+        responses,
+        stats
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get responses by analysis ID error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle getting all definition versions of a survey (analyst only)
+ */
+async function handleGetSurveyVersions(analysisId, request, env) {
+  try {
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const versions = await getSurveyVersions(env.DB, survey.id);
+    
+    return apiResponse({
+      success: true,
+      data: {
+        currentVersion: survey.schemaVersion,
+        versions
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get survey versions error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle replacing the survey definition with an edited version (analyst only)
+ */
+async function handleUpdateSurvey(analysisId, request, env) {
+  try {
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const { encryptedData, baseVersion } = await request.json();
+    
+    if (!Array.isArray(encryptedData) || encryptedData.length === 0) {
+      return errorResponse('Missing encrypted survey data');
+    }
+    
+    if (!Number.isInteger(baseVersion)) {
+      return errorResponse('Missing base version');
+    }
+    
+    const result = await updateSurveyDefinition(env.DB, survey.id, encryptedData, baseVersion);
+    
+    return apiResponse({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Update survey error:', error);
+    
+    if (error.message.startsWith('Conflict')) {
+      return errorResponse(error.message, 409);
+    }
+    
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle getting the encrypted answer tags (analyst only)
+ */
+async function handleGetAnswerTags(analysisId, request, env) {
+  try {
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const tags = await getAnswerTags(env.DB, survey.id);
+    
+    return apiResponse({
+      success: true,
+      data: tags
+    });
+    
+  } catch (error) {
+    console.error('Get answer tags error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle saving the encrypted answer tags (analyst only)
+ */
+async function handleSaveAnswerTags(analysisId, request, env) {
+  try {
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const { encryptedTags, baseVersion } = await request.json();
+    
+    if (!Array.isArray(encryptedTags) || encryptedTags.length === 0) {
+      return errorResponse('Missing encrypted tags');
+    }
+    
+    if (!Number.isInteger(baseVersion)) {
+      return errorResponse('Missing base version');
+    }
+    
+    const result = await saveAnswerTags(env.DB, survey.id, encryptedTags, baseVersion);
+    
+    return apiResponse({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Save answer tags error:', error);
+    
+    if (error.message.startsWith('Conflict')) {
+      return errorResponse(error.message, 409);
+    }
+    
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle listing the encrypted analyst notes (analyst only)
+ */
+async function handleGetNotes(analysisId, request, env) {
+  try {
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const notes = await getAnalystNotes(env.DB, survey.id);
+    
+    return apiResponse({
+      success: true,
+      data: { notes }
+    });
+    
+  } catch (error) {
+    console.error('Get notes error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle adding an encrypted analyst note (analyst only)
+ */
+async function handleCreateNote(analysisId, request, env) {
+  try {
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const { encryptedData } = await request.json();
+    
+    if (!Array.isArray(encryptedData) || encryptedData.length === 0) {
+      return errorResponse('Missing encrypted note');
+    }
+    
+    const note = await createAnalystNote(env.DB, survey.id, generateId(), encryptedData);
+    
+    return apiResponse({
+      success: true,
+      data: note
+    });
+    
+  } catch (error) {
+    console.error('Create note error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle replacing or deleting an analyst note, given the version it was loaded at (analyst only)
  */
-async function handleCreateSurvey(request, env) {
+async function handleChangeNote(analysisId, noteId, request, env) {
   try {
-    const body = await request.json();
-    const { encryptedSurvey } = body;
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
     
-    if (!encryptedSurvey) {
-      return errorResponse('Missing encrypted survey data');
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
     }
     
-    // Validate required fields
-    const required = ['id', 'salt', 'encryptedData', 'keyHash', 'createdAt'];
-    for (const field of required) {
-      if (!encryptedSurvey[field]) {
-        return errorResponse(`Missing required field: ${field}`);
-      }
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
     }
     
-    // Prepare data for database
-    const surveyData = {
-      id: encryptedSurvey.id,
-      analysisId: generateId(), // Generate separate analysis ID
-      title: '', // Will be encrypted in the encryptedData
-      description: '',
-      questions: encryptedSurvey.encryptedData,
-      salt: encryptedSurvey.salt,
-      createdAt: encryptedSurvey.createdAt,
-      expiresAt: encryptedSurvey.expiresAt || null,
-      maxResponses: encryptedSurvey.maxResponses || null,
-      creatorKeyHash: encryptedSurvey.keyHash
-    };
+    const { encryptedData, baseVersion } = await request.json();
     
-    const result = await createSurvey(env.DB, surveyData);
+    if (!Number.isInteger(baseVersion)) {
+      return errorResponse('Missing base version');
+    }
+    
+    if (request.method === 'DELETE') {
+      await deleteAnalystNote(env.DB, survey.id, noteId, baseVersion);
+      
+      return apiResponse({
+        success: true,
+        data: { deleted: true }
+      });
+    }
+    
+    if (!Array.isArray(encryptedData) || encryptedData.length === 0) {
+      return errorResponse('Missing encrypted note');
+    }
+    
+    const note = await updateAnalystNote(env.DB, survey.id, noteId, encryptedData, baseVersion);
     
     return apiResponse({
       success: true,
-      data: {
-        id: result.id,
-        analysisId: result.analysisId,
-        url: `${request.url.split('/api')[0]}/survey/${result.id}`,
-        analysisUrl: `${request.url.split('/api')[0]}/analyze/${result.analysisId}`
-      }
+      data: note
     });
     
   } catch (error) {
-    console.error('Create survey error:', error);
+    console.error('Change note error:', error);
+    
+    if (error.message === 'Note not found') {
+      return errorResponse(error.message, 404);
+    }
+    
+    if (error.message.startsWith('Conflict')) {
+      return errorResponse(error.message, 409);
+    }
+    
     return errorResponse(error.message, 500);
   }
 }
 
 /**
- * Handle getting survey data
+ * Handle opening, pausing or closing a survey (analyst only)
  */
-async function handleGetSurvey(surveyId, env) {
+async function handleUpdateSurveyStatus(analysisId, request, env) {
   try {
-    const survey = await getSurvey(env.DB, surveyId);
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
     
     if (!survey) {
       return errorResponse('Survey not found', 404);
     }
     
-    // Return encrypted survey data
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const { status } = await request.json();
+    
+    if (!SURVEY_STATUSES.includes(status)) {
+      return errorResponse(`Status must be one of: ${SURVEY_STATUSES.join(', ')}`);
+    }
+    
+    const result = await updateSurveyStatus(env.DB, survey.id, status);
+    
     return apiResponse({
       success: true,
-      data: {
-        id: survey.id,
-        salt: survey.salt,
-        encryptedData: survey.questions,
-        keyHash: survey.creatorKeyHash,
-        createdAt: survey.createdAt,
-        expiresAt: survey.expiresAt,
-        maxResponses: survey.maxResponses
-      }
+      data: result
     });
     
   } catch (error) {
-    console.error('Get survey error:', error);
+    console.error('Update survey status error:', error);
     return errorResponse(error.message, 500);
   }
 }
 
 /**
- * Handle getting survey data by analysis ID
+ * Handle getting invite token usage (analyst only)
  */
-async function handleGetSurveyByAnalysisId(analysisId, env) {
+async function handleGetInvites(analysisId, request, env) {
   try {
     const survey = await getSurveyByAnalysisId(env.DB, analysisId);
     
@@ -168,97 +1519,115 @@ async function handleGetSurveyByAnalysisId(analysisId, env) {
       return errorResponse('Survey not found', 404);
     }
     
-    // Return encrypted survey data
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const stats = await getInviteStats(env.DB, survey.id);
+    
     return apiResponse({
       success: true,
-      data: {
-        id: survey.id,
-        salt: survey.salt,
-        encryptedData: survey.questions,
-        keyHash: survey.creatorKeyHash,
-        createdAt: survey.createdAt,
-        expiresAt: survey.expiresAt,
-        maxResponses: survey.maxResponses
-      }
+      data: stats
     });
     
   } catch (error) {
-    console.error('Get survey by analysis ID error:', error);
+    console.error('Get invites error:', error);
     return errorResponse(error.message, 500);
   }
 }
 
 /**
- * Handle response submission
+ * Handle adding invite tokens, given as SHA-256 hashes (analyst only)
  */
-async function handleSubmitResponse(surveyId, request, env) {
+async function handleCreateInvites(analysisId, request, env) {
   try {
-    const body = await request.json();
-    const { encryptedResponse } = body;
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
     
-    if (!encryptedResponse) {
-      return errorResponse('Missing encrypted response data');
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
     }
     
-    // Validate required fields
-    if (!encryptedResponse.id || !encryptedResponse.encryptedAnswers) {
-      return errorResponse('Missing required response fields');
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
     }
     
-    // Check if survey can accept responses
-    const canAccept = await canAcceptResponses(env.DB, surveyId);
-    if (!canAccept.canAccept) {
-      return errorResponse(canAccept.reason, 400);
+    const { tokenHashes } = await request.json();
+    
+    if (!Array.isArray(tokenHashes) || tokenHashes.length === 0 || tokenHashes.length > MAX_INVITES_PER_REQUEST) {
+      return errorResponse(`Between 1 and ${MAX_INVITES_PER_REQUEST} token hashes are required`);
     }
     
-    const responseData = {
-      id: encryptedResponse.id,
-      surveyId: surveyId,
-      answers: encryptedResponse.encryptedAnswers,
-      submittedAt: Date.now()
-    };
+    if (!tokenHashes.every(hash => typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash)) ||
+        new Set(tokenHashes).size !== tokenHashes.length) {
+      return errorResponse('Token hashes must be unique SHA-256 hex digests');
+    }
     
-    const result = await submitResponse(env.DB, responseData);
+    const stats = await createInviteTokens(env.DB, survey.id, tokenHashes);
     
     return apiResponse({
       success: true,
-      data: { id: result.id }
+      data: stats
     });
     
   } catch (error) {
-    console.error('Submit response error:', error);
+    console.error('Create invites error:', error);
+    
+    if (error.message.includes('UNIQUE')) {
+      return errorResponse('Conflict - an invite token already exists', 409);
+    }
+    
     return errorResponse(error.message, 500);
   }
 }
 
 /**
- * Handle getting survey responses (for creator)
+ * Handle turning on anonymous credentials with the creator's blind signing key (analyst only)
  */
-async function handleGetResponses(surveyId, request, env) {
+async function handleSetCredentialKey(analysisId, request, env) {
   try {
-    const url = new URL(request.url);
-    const keyHash = url.searchParams.get('keyHash');
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const { publicKey, encryptedPrivateKey } = await request.json();
     
-    if (!keyHash) {
-      return errorResponse('Missing authorization key hash', 401);
+    if (!publicKey || publicKey.kty !== 'RSA' || typeof publicKey.n !== 'string' || typeof publicKey.e !== 'string') {
+      return errorResponse('Missing RSA public key');
     }
     
-    const responses = await getSurveyResponses(env.DB, surveyId, keyHash);
-    const stats = await getSurveyStats(env.DB, surveyId, keyHash);
+    if (!Array.isArray(encryptedPrivateKey) || encryptedPrivateKey.length === 0) {
+      return errorResponse('Missing encrypted private key');
+    }
+    
+    // Keep only the public components, and make sure they form a usable key
+    const { kty, n, e } = publicKey;
+    try {
+      await crypto.subtle.importKey('jwk', { kty, n, e }, BLIND_KEY_ALGORITHM, false, ['verify']);
+    } catch (error) {
+      return errorResponse('Invalid RSA public key');
+    }
+    
+    await setBlindSigningKey(env.DB, survey.id, { kty, n, e }, encryptedPrivateKey);
     
     return apiResponse({
       success: true,
-      data: {
-        responses,
-        stats
-      }
+      data: { enabled: true }
     });
     
   } catch (error) {
-    console.error('Get responses error:', error);
+    console.error('Set credential key error:', error);
     
-    if (error.message.includes('Unauthorized')) {
-      return errorResponse(error.message, 401);
+    if (error.message.startsWith('Conflict')) {
+      return errorResponse(error.message, 409);
     }
     
     return errorResponse(error.message, 500);
@@ -266,52 +1635,102 @@ async function handleGetResponses(surveyId, request, env) {
 }
 
 /**
- * Handle getting survey responses by analysis ID (creator only)
+ * Handle listing credential requests awaiting the creator's signature (analyst only)
  */
-async function handleGetResponsesByAnalysisId(analysisId, request, env) {
+async function handleGetCredentialRequests(analysisId, request, env) {
   try {
-    const url = new URL(request.url);
-    const keyHash = url.searchParams.get('keyHash');
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
     
-    if (!keyHash) {
-      return errorResponse('Missing authorization key hash', 401);
+    if (!survey.blindPublicKey) {
+      return apiResponse({
+        success: true,
+        data: { enabled: false, pending: [], issued: 0 }
+      });
     }
     
-    const responses = await getSurveyResponsesByAnalysisId(env.DB, analysisId, keyHash);
-    const stats = await getSurveyStatsByAnalysisId(env.DB, analysisId, keyHash);
+    const requests = await getCredentialRequests(env.DB, survey.id);
     
     return apiResponse({
       success: true,
       data: {
-        responses,
-        stats
+        enabled: true,
+        encryptedPrivateKey: survey.blindPrivateKey,
+        ...requests
       }
     });
     
   } catch (error) {
-    console.error('Get responses by analysis ID error:', error);
+    console.error('Get credential requests error:', error);
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle storing the creator's blind signatures (analyst only)
+ */
+async function handleSignCredentialRequests(analysisId, request, env) {
+  try {
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
     
-    if (error.message.includes('Unauthorized')) {
-      return errorResponse(error.message, 401);
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
+    
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
+    }
+    
+    const { signatures } = await request.json();
+    
+    if (!Array.isArray(signatures) || signatures.length === 0 || signatures.length > MAX_INVITES_PER_REQUEST) {
+      return errorResponse(`Between 1 and ${MAX_INVITES_PER_REQUEST} signatures are required`);
     }
     
+    if (!signatures.every(({ id, blindSignature } = {}) =>
+        typeof id === 'string' && typeof blindSignature === 'string' && /^([0-9a-f]{2})+$/.test(blindSignature))) {
+      return errorResponse('Malformed signatures');
+    }
+    
+    const result = await signCredentialRequests(env.DB, survey.id, signatures);
+    
+    return apiResponse({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Sign credential requests error:', error);
     return errorResponse(error.message, 500);
   }
 }
 
 /**
- * Handle survey deletion by analysis ID (creator only)
+ * Handle survey deletion by analysis ID (analyst only)
  */
 async function handleDeleteSurveyByAnalysisId(analysisId, request, env) {
   try {
-    const url = new URL(request.url);
-    const keyHash = url.searchParams.get('keyHash');
+    const survey = await getSurveyByAnalysisId(env.DB, analysisId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
     
-    if (!keyHash) {
-      return errorResponse('Missing authorization key hash', 401);
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
     }
     
-    const result = await deleteSurveyByAnalysisId(env.DB, analysisId, keyHash);
+    const result = await deleteSurveyByAnalysisId(env.DB, analysisId);
     
     return apiResponse({
       success: true,
@@ -321,8 +1740,8 @@ async function handleDeleteSurveyByAnalysisId(analysisId, request, env) {
   } catch (error) {
     console.error('Delete survey by analysis ID error:', error);
     
-    if (error.message.includes('Unauthorized') || error.message.includes('not found')) {
-      return errorResponse(error.message, 401);
+    if (error.message.includes('not found')) {
+      return errorResponse(error.message, 404);
     }
     
     return errorResponse(error.message, 500);
@@ -330,18 +1749,22 @@ async function handleDeleteSurveyByAnalysisId(analysisId, request, env) {
 }
 
 /**
- * Handle survey deletion (creator only)
+ * Handle survey deletion (analyst only)
  */
 async function handleDeleteSurvey(surveyId, request, env) {
   try {
-    const url = new URL(request.url);
-    const keyHash = url.searchParams.get('keyHash');
+    const survey = await getSurvey(env.DB, surveyId);
+    
+    if (!survey) {
+      return errorResponse('Survey not found', 404);
+    }
     
-    if (!keyHash) {
-      return errorResponse('Missing authorization key hash', 401);
+    const auth = await authorizeAnalyst(request, env, survey);
+    if (!auth.authorized) {
+      return errorResponse(auth.reason, 401);
     }
     
-    const result = await deleteSurvey(env.DB, surveyId, keyHash);
+    const result = await deleteSurvey(env.DB, surveyId);
     
     return apiResponse({
       success: true,
@@ -351,8 +1774,8 @@ async function handleDeleteSurvey(surveyId, request, env) {
   } catch (error) {
     console.error('Delete survey error:', error);
     
-    if (error.message.includes('Unauthorized') || error.message.includes('not found')) {
-      return errorResponse(error.message, 401);
+    if (error.message.includes('not found')) {
+      return errorResponse(error.message, 404);
     }
     
     return errorResponse(error.message, 500);
@@ -360,55 +1783,21 @@ async function handleDeleteSurvey(surveyId, request, env) {
 }
 
 /**
- * Handle cleanup of expired surveys (zero-knowledge endpoint with cooldown)
+ * Delete surveys past their retention period (runs from the Cron Trigger)
  */
-async function handleCleanup(env) {
+async function runScheduledCleanup(env) {
+  const startedAt = Date.now();
+  
   try {
-    const now = Date.now();
-    
-    // Check if cleanup is already in progress
-    if (cleanupInProgress) {
-      return apiResponse({
-        success: true,
-        message: 'Cleanup already in progress',
-        nextCleanupAllowedAt: lastCleanupTime + CLEANUP_COOLDOWN
-      });
-    }
-    
-    // Check cooldown
-    if (now - lastCleanupTime < CLEANUP_COOLDOWN) {
-      return apiResponse({
-        success: true,
-        message: 'Cleanup skipped - still in cooldown period',
-        nextCleanupAllowedAt: lastCleanupTime + CLEANUP_COOLDOWN
-      });
-    }
+    const result = await cleanupExpiredSurveys(env.DB);
+    await pruneRateLimitHits(env.DB, startedAt - MAX_RATE_LIMIT_WINDOW);
     
-    // Set lock and perform cleanup
-    cleanupInProgress = true;
-    
-    try {
-      const result = await cleanupExpiredSurveys(env.DB);
-      lastCleanupTime = now;
-      
-      console.log(`Cleanup completed: deleted ${result.deletedCount} expired surveys`);
-      
-      return apiResponse({
-        success: true,
-        message: 'Cleanup completed',
-        deletedSurveys: result.deletedCount,
-        nextCleanupAllowedAt: now + CLEANUP_COOLDOWN
-      });
-      
-    } finally {
-      // Always release lock
-      cleanupInProgress = false;
-    }
+    await recordCleanupRun(env.DB, { startedAt, finishedAt: Date.now(), ...result });
+    console.log(`Cleanup completed: deleted ${result.deletedSurveys} expired surveys and ${result.deletedResponses} responses`);
     
   } catch (error) {
     console.error('Cleanup error:', error);
-    cleanupInProgress = false; // Ensure lock is released on error
-    return errorResponse('Cleanup failed', 500);
+    await recordCleanupRun(env.DB, { startedAt, finishedAt: Date.now(), error: error.message });
   }
 }
 
@@ -444,13 +1833,52 @@ async function handleRequest(request, env) {
       return handleSubmitResponse(responseMatch[1], request, env);
     }
     
-    // GET /api/survey/:id/responses - Get responses (creator only)
+    // PUT/DELETE /api/survey/:id/response/:rid - Replace or withdraw a response (edit secret holder only)
+    const ownResponseMatch = path.match(/^\/api\/survey\/([a-zA-Z0-9]+)\/response\/([a-zA-Z0-9]+)$/);
+    if (ownResponseMatch && method === 'PUT') {
+      return handleReplaceResponse(ownResponseMatch[1], ownResponseMatch[2], request, env);
+    }
+    if (ownResponseMatch && method === 'DELETE') {
+      return handleWithdrawResponse(ownResponseMatch[1], ownResponseMatch[2], request, env);
+    }
+    
+    // GET /api/survey/:id/log - Response log key and latest signed tree head
+    const logMatch = path.match(/^\/api\/survey\/([a-zA-Z0-9]+)\/log$/);
+    if (logMatch && method === 'GET') {
+      return handleGetResponseLog(logMatch[1], env);
+    }
+    
+    // GET /api/survey/:id/log/heads?after=N - Signed tree heads, oldest first
+    const logHeadsMatch = path.match(/^\/api\/survey\/([a-zA-Z0-9]+)\/log\/heads$/);
+    if (logHeadsMatch && method === 'GET') {
+      return handleGetTreeHeads(logHeadsMatch[1], url.searchParams, env);
+    }
+    
+    // GET /api/survey/:id/log/(inclusion|consistency) - Merkle proofs against a tree size
+    const logProofMatch = path.match(/^\/api\/survey\/([a-zA-Z0-9]+)\/log\/(inclusion|consistency)$/);
+    if (logProofMatch && method === 'GET') {
+      return handleGetLogProof(logProofMatch[1], logProofMatch[2], url.searchParams, env);
+    }
+    
+    // POST /api/survey/:id/credential - Spend an invite on a blinded credential request
+    const credentialRequestMatch = path.match(/^\/api\/survey\/([a-zA-Z0-9]+)\/credential$/);
+    if (credentialRequestMatch && method === 'POST') {
+      return handleRequestCredential(credentialRequestMatch[1], request, env);
+    }
+    
+    // GET /api/survey/:id/credential/:requestId - Collect the blind signature once the creator has signed
+    const credentialMatch = path.match(/^\/api\/survey\/([a-zA-Z0-9]+)\/credential\/([0-9a-f]{32})$/);
+    if (credentialMatch && method === 'GET') {
+      return handleGetCredential(credentialMatch[1], credentialMatch[2], env);
+    }
+    
+    // GET /api/survey/:id/responses - Get responses (analyst only)
     const responsesMatch = path.match(/^\/api\/survey\/([a-zA-Z0-9]+)\/responses$/);
     if (responsesMatch && method === 'GET') {
       return handleGetResponses(responsesMatch[1], request, env);
     }
     
-    // DELETE /api/survey/:id - Delete survey (creator only)
+    // DELETE /api/survey/:id - Delete survey (analyst only)
     const deleteMatch = path.match(/^\/api\/survey\/([a-zA-Z0-9]+)$/);
     if (deleteMatch && method === 'DELETE') {
       return handleDeleteSurvey(deleteMatch[1], request, env);
@@ -463,23 +1891,95 @@ async function handleRequest(request, env) {
       return handleGetSurveyByAnalysisId(analysisSurveyMatch[1], env);
     }
     
-    // GET /api/analysis/:id/responses - Get responses by analysis ID (creator only)
+    // PUT /api/analysis/:id/survey - Store an edited survey definition (analyst only)
+    if (analysisSurveyMatch && method === 'PUT') {
+      return handleUpdateSurvey(analysisSurveyMatch[1], request, env);
+    }
+    
+    // GET /api/analysis/:id/versions - Get all survey definition versions (analyst only)
+    const analysisVersionsMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/versions$/);
+    if (analysisVersionsMatch && method === 'GET') {
+      return handleGetSurveyVersions(analysisVersionsMatch[1], request, env);
+    }
+    
+    // GET/POST /api/analysis/:id/invites - Invite token usage / add invite tokens (analyst only)
+    const analysisInvitesMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/invites$/);
+    if (analysisInvitesMatch && method === 'GET') {
+      return handleGetInvites(analysisInvitesMatch[1], request, env);
+    }
+    if (analysisInvitesMatch && method === 'POST') {
+      return handleCreateInvites(analysisInvitesMatch[1], request, env);
+    }
+    
+    // PUT /api/analysis/:id/credential-key - Turn on anonymous credentials (analyst only)
+    const analysisCredentialKeyMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/credential-key$/);
+    if (analysisCredentialKeyMatch && method === 'PUT') {
+      return handleSetCredentialKey(analysisCredentialKeyMatch[1], request, env);
+    }
+    
+    // GET/POST /api/analysis/:id/credentials - Pending credential requests / store blind signatures (analyst only)
+    const analysisCredentialsMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/credentials$/);
+    if (analysisCredentialsMatch && method === 'GET') {
+      return handleGetCredentialRequests(analysisCredentialsMatch[1], request, env);
+    }
+    if (analysisCredentialsMatch && method === 'POST') {
+      return handleSignCredentialRequests(analysisCredentialsMatch[1], request, env);
+    }
+    
+    // GET/PUT /api/analysis/:id/tags - Encrypted codes on text answers (analyst only)
+    const analysisTagsMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/tags$/);
+    if (analysisTagsMatch && method === 'GET') {
+      return handleGetAnswerTags(analysisTagsMatch[1], request, env);
+    }
+    if (analysisTagsMatch && method === 'PUT') {
+      return handleSaveAnswerTags(analysisTagsMatch[1], request, env);
+    }
+    
+    // GET/POST /api/analysis/:id/notes - Encrypted analyst notes (analyst only)
+    const analysisNotesMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/notes$/);
+    if (analysisNotesMatch && method === 'GET') {
+      return handleGetNotes(analysisNotesMatch[1], request, env);
+    }
+    if (analysisNotesMatch && method === 'POST') {
+      return handleCreateNote(analysisNotesMatch[1], request, env);
+    }
+    
+    // PUT/DELETE /api/analysis/:id/notes/:noteId - Replace or delete a note at a known version (analyst only)
+    const analysisNoteMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/notes\/([a-zA-Z0-9]+)$/);
+    if (analysisNoteMatch && (method === 'PUT' || method === 'DELETE')) {
+      return handleChangeNote(analysisNoteMatch[1], analysisNoteMatch[2], request, env);
+    }
+    
+    // PUT /api/analysis/:id/status - Open, pause or close the survey (analyst only)
+    const analysisStatusMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/status$/);
+    if (analysisStatusMatch && method === 'PUT') {
+      return handleUpdateSurveyStatus(analysisStatusMatch[1], request, env);
+    }
+    
+    // POST /api/analysis/:id/challenge - Issue a one-time analyst challenge
+    const analysisChallengeMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/challenge$/);
+    if (analysisChallengeMatch && method === 'POST') {
+      return handleCreateChallenge(analysisChallengeMatch[1], request, env);
+    }
+    
+    // POST /api/analysis/:id/verify-key - Register verification key (surveys created before signed challenges)
+    const analysisVerifyKeyMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/verify-key$/);
+    if (analysisVerifyKeyMatch && method === 'POST') {
+      return handleRegisterVerifyKey(analysisVerifyKeyMatch[1], request, env);
+    }
+    
+    // GET /api/analysis/:id/responses - Get responses by analysis ID (analyst only)
     const analysisResponsesMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)\/responses$/);
     if (analysisResponsesMatch && method === 'GET') {
       return handleGetResponsesByAnalysisId(analysisResponsesMatch[1], request, env);
     }
     
-    // DELETE /api/analysis/:id - Delete survey by analysis ID (creator only)
+    // DELETE /api/analysis/:id - Delete survey by analysis ID (analyst only)
     const analysisDeleteMatch = path.match(/^\/api\/analysis\/([a-zA-Z0-9]+)$/);
     if (analysisDeleteMatch && method === 'DELETE') {
       return handleDeleteSurveyByAnalysisId(analysisDeleteMatch[1], request, env);
     }
-    
-    // POST /api/cleanup - Cleanup expired surveys (zero-knowledge with cooldown)
-    if (path === '/api/cleanup' && method === 'POST') {
-      return handleCleanup(env);
-    }
-    
+        
     return errorResponse('API endpoint not found', 404);
   }
   
@@ -518,7 +2018,8 @@ async function serveStaticFile(path, env) {
       return new Response(file.content, {
         headers: { 
           'Content-Type': file.contentType,
-          'Cache-Control': 'public, max-age=3600' // Cache for 1 hour
+          // Cache for 1 hour, except the service worker, which browsers should always recheck
+          'Cache-Control': path === '/service-worker.js' ? 'no-cache' : 'public, max-age=3600'
         }
       });
     }
@@ -550,5 +2051,9 @@ export default {
       console.error('Worker error:', error);
       return errorResponse('Internal server error', 500);
     }
+  },
+  
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledCleanup(env));
   }
 };
\ No newline at end of file
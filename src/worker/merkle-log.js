@@ -0,0 +1,159 @@
+/**
+ * Append-only Merkle tree over each survey's response ciphertext hashes
+ *
+ * Hashing and tree shape follow RFC 9162 (Certificate Transparency v2):
+ *   leaf = SHA-256(0x00 || SHA-256(ciphertext))
+ *   node = SHA-256(0x01 || left || right)
+ * and a tree of n leaves splits at the largest power of two below n.
+ *
+ * Only roots of perfect subtrees are stored, as (level, index) nodes: leaf i is
+ * node (0, i) and node (l, i) covers leaves [i * 2^l, (i + 1) * 2^l). Every other
+ * subtree the split produces is built from these, and they never change once
+ * written, so proofs for any earlier tree size can still be computed.
+ */
+
+import { bytesToHex, hexToBytes } from '../shared/crypto.js';
+
+async function sha256Hex(bytes) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', bytes);
+  return bytesToHex(new Uint8Array(hashBuffer));
+}
+
+async function hashWithPrefix(prefix, ...hexParts) {
+  const parts = hexParts.map(hexToBytes);
+  const input = new Uint8Array(1 + parts.reduce((total, part) => total + part.length, 0));
+  input[0] = prefix;
+  let offset = 1;
+  for (const part of parts) {
+    input.set(part, offset);
+    offset += part.length;
+  }
+  return sha256Hex(input);
+}
+
+/**
+ * Leaf hash for a response's encrypted answers
+ */
+export async function hashLeaf(ciphertext) {
+  return hashWithPrefix(0x00, await sha256Hex(ciphertext));
+}
+
+export function hashChildren(left, right) {
+  return hashWithPrefix(0x01, left, right);
+}
+
+function isPowerOfTwo(n) {
+  return n > 0 && (n & (n - 1)) === 0;
+}
+
+function largestPowerOfTwoBelow(n) {
+  let k = 1;
+  while (k * 2 < n) {
+    k *= 2;
+  }
+  return k;
+}
+
+export function nodeKey(level, index) {
+  return `${level}:${index}`;
+}
+
+/**
+ * Stored nodes that make up the leaf range [lo, hi)
+ */
+export function perfectNodes(lo, hi) {
+  const size = hi - lo;
+  if (size === 0) {
+    return [];
+  }
+  if (isPowerOfTwo(size)) {
+    return [{ level: Math.log2(size), index: lo / size }];
+  }
+  const k = largestPowerOfTwoBelow(size);
+  return [...perfectNodes(lo, lo + k), ...perfectNodes(lo + k, hi)];
+}
+
+/**
+ * Hash of the subtree over leaves [lo, hi), from a Map of stored nodes
+ */
+export async function rangeHash(lo, hi, nodes) {
+  const size = hi - lo;
+  if (isPowerOfTwo(size)) {
+    const hash = nodes.get(nodeKey(Math.log2(size), lo / size));
+    if (!hash) {
+      throw new Error('Response log is missing a node');
+    }
+    return hash;
+  }
+  const k = largestPowerOfTwoBelow(size);
+  return hashChildren(await rangeHash(lo, lo + k, nodes), await rangeHash(lo + k, hi, nodes));
+}
+
+/**
+ * Leaf ranges whose hashes form the inclusion proof of a leaf (RFC 9162 PATH)
+ */
+export function inclusionRanges(leafIndex, treeSize, lo = 0) {
+  const size = treeSize - lo;
+  if (size <= 1) {
+    return [];
+  }
+  const k = largestPowerOfTwoBelow(size);
+  if (leafIndex < lo + k) {
+    return [...inclusionRanges(leafIndex, lo + k, lo), [lo + k, treeSize]];
+  }
+  return [...inclusionRanges(leafIndex, treeSize, lo + k), [lo, lo + k]];
+}
+
+/**
+ * Leaf ranges whose hashes prove that a tree of oldSize leaves is a prefix of
+ * one with newSize leaves (RFC 9162 SUBPROOF)
+ */
+export function consistencyRanges(oldSize, newSize, lo = 0, complete = true) {
+  if (oldSize === newSize) {
+    return complete ? [] : [[lo, newSize]];
+  }
+  const k = largestPowerOfTwoBelow(newSize - lo);
+  if (oldSize <= lo + k) {
+    return [...consistencyRanges(oldSize, lo + k, lo, complete), [lo + k, newSize]];
+  }
+  return [...consistencyRanges(oldSize, newSize, lo + k, false), [lo, lo + k]];
+}
+
+/**
+ * Nodes needed to hash every range in a proof
+ */
+export function proofNodes(ranges) {
+  return ranges.flatMap(([lo, hi]) => perfectNodes(lo, hi));
+}
+
+export function proofHashes(ranges, nodes) {
+  return Promise.all(ranges.map(([lo, hi]) => rangeHash(lo, hi, nodes)));
+}
+
+/**
+ * Append a leaf to a tree of treeSize leaves
+ * `nodes` must hold perfectNodes(0, treeSize). Returns the nodes to store,
+ * the new root and the inclusion proof of the new leaf.
+ */
+export async function appendLeaf(treeSize, nodes, leafHash) {
+  const added = [{ level: 0, index: treeSize, hash: leafHash }];
+  nodes.set(nodeKey(0, treeSize), leafHash);
+
+  // Each time the new node is a right child, its parent's subtree is complete
+  let level = 0;
+  let index = treeSize;
+  let hash = leafHash;
+  while (index % 2 === 1) {
+    hash = await hashChildren(nodes.get(nodeKey(level, index - 1)), hash);
+    level++;
+    index = (index - 1) / 2;
+    added.push({ level, index, hash });
+    nodes.set(nodeKey(level, index), hash);
+  }
+
+  return {
+    nodes: added,
+    rootHash: await rangeHash(0, treeSize + 1, nodes),
+    proof: await proofHashes(inclusionRanges(treeSize, treeSize + 1), nodes)
+  };
+}
@@ -6,14 +6,15 @@ This script fetches encrypted survey questions from Cloudflare D1,
 decrypts them, opens them in vim for editing, and updates the database
 with the re-encrypted questions.
 
-⚠️  CRITICAL WARNING - DATA INTEGRITY ⚠️
-========================================
-REORDERING questions will CORRUPT all existing response data!
-Question IDs are regenerated based on position in the markdown file.
-Moving questions causes answer mismatches in CSV/JSON exports.
+⚠️  WARNING - DATA INTEGRITY ⚠️
+==============================
+Responses are keyed by question ID. The editor writes every question's
+ID as a {#id} annotation, so editing text and reordering questions keep
+answers attached. Do NOT change or remove the {#id} annotations of
+questions that already have responses.
 
-SAFE: Edit text, add questions to END
-UNSAFE: Reorder, remove, or change question IDs
+SAFE: Edit text, reorder, add questions (with new IDs)
+UNSAFE: Change or reuse question IDs, change types after responses exist
 
 See markdown_to_survey() docstring for detailed impact analysis.
 
@@ -24,9 +25,11 @@ Usage:
 import argparse
 import json
 import os
+import re
 import subprocess
 import sys
 import tempfile
+import time
 from pathlib import Path
 
 import requests
@@ -185,6 +188,20 @@ def encrypt_data(data, key):
     return list(bytes(encrypted))
 
 
+# Internal question type -> markdown keyword (mirrors QUESTION_TYPES in survey-parser.js)
+QUESTION_TYPES = {
+    'yes_no': 'yes/no',
+    'text': 'text',
+    'single_choice': 'choice',
+    'multiple_choice': 'multi-choice',
+    'scale': 'scale',
+    'number': 'number',
+    'date': 'date',
+}
+
+CHOICE_TYPES = ('single_choice', 'multiple_choice')
+
+
 def survey_to_markdown(survey):
     """Convert survey structure to markdown format."""
     markdown = f"# {survey['title']}\n"
@@ -194,9 +211,34 @@ def survey_to_markdown(survey):
 
     markdown += "\n## Questions\n\n"
 
-    for question in survey['questions']:
-        q_type = 'yes/no' if question['type'] == 'yes_no' else 'text'
-        markdown += f"- **{q_type}** {question['text']}\n"
+    # Section headings are written before the first question of each section
+    section_starts = {
+        section['questionIds'][0]: section
+        for section in survey.get('sections', [])
+        if section['title'] and section['questionIds']
+    }
+
+    for index, question in enumerate(survey['questions']):
+        section = section_starts.get(question['id'])
+        if section:
+            if index > 0:
+                markdown += "\n"
+            markdown += f"### {section['title']}\n"
+            if section['description']:
+                markdown += f"{section['description']}\n"
+            markdown += "\n"
+
+        if question['type'] == 'scale':
+            q_type = f"scale {question['min']}-{question['max']}"
+        else:
+            q_type = QUESTION_TYPES[question['type']]
+        required = ' *' if question.get('required') else ''
+        condition = question.get('condition')
+        show_if = f" [show if {condition['questionId']} {condition['operator']} {condition['value']}]" if condition else ''
+        markdown += f"- **{q_type}** {question['text']}{required}{show_if} {{#{question['id']}}}\n"
+
+        for option in question.get('options', []):
+            markdown += f"  - {option}\n"
 
     return markdown
 
@@ -204,70 +246,48 @@ def survey_to_markdown(survey):
 def markdown_to_survey(markdown):
     """Parse markdown back into survey structure.
 
-    CRITICAL: Impact of Adding/Removing/Reordering Questions on Exported Data
-    ========================================================================
+    Impact of Adding/Removing/Reordering Questions on Exported Data
+    ===============================================================
 
     Question IDs and Data Integrity:
     ---------------------------------
-    - Questions are assigned sequential IDs: q1, q2, q3, etc. (line 227)
-    - Response data is stored as a dictionary keyed by question.id (survey-parser.js:162)
-    - Each response object: { "q1": {type: "yes_no", value: true}, "q2": {...}, ... }
+    - Each question carries its ID as a {#id} annotation (written by survey_to_markdown)
+    - Questions without an annotation get a positional ID: q1, q2, q3, ...
+    - Response data is stored as a dictionary keyed by question.id
+    - Each response object: { "q1": {type: "yes_no", value: true}, "age": {...}, ... }
 
     When you ADD a new question:
-    - New question gets a new ID (e.g., q4)
+    - Give it a new {#id} (or leave it off to get a positional one, if unused)
     - EXISTING responses won't have data for this question
     - CSV export will show EMPTY CELLS for old responses on the new question column
-    - JSON export will show the question in survey.questions but missing from old responses
-    - Analysis page will correctly show "No responses for this question"
 
     When you REMOVE a question:
-    - The question disappears from the survey structure
     - EXISTING responses STILL CONTAIN the old question data (orphaned data)
-    - CSV export will NOT include the removed question (column disappears)
-    - JSON export will NOT show the removed question in survey.questions
-    - The encrypted response data still contains answers to deleted questions (invisible)
-    - This is safe but means old data persists in the encrypted blob
+    - CSV/JSON exports no longer include the removed question
+    - Do not reuse its ID for a different question later
 
     When you REORDER questions:
-    - Question IDs are REGENERATED based on new order (q1, q2, q3...)
-    - If you move "What is your age?" from position 1 to position 3:
-    -   Old ID: q1 -> New ID: q3
-    - EXISTING responses use OLD IDs, so answers will MISMATCH with questions!
-    - CSV export will show WRONG DATA in columns (age answers in wrong question column)
-    - JSON export will have question.id mismatch (responses have q1, survey expects q3)
-    - This is a CRITICAL DATA CORRUPTION issue!
-
-    SAFE OPERATIONS:
-    ✓ Edit question text (question.id stays the same if order unchanged)
-    ✓ Edit survey title or description
-    ✓ Add new questions to the END (existing data unaffected)
-    ✓ Change question type IF no responses exist yet
+    - IDs move with their questions, so answers stay attached
+    - Keep the {#id} annotations; removing them falls back to positional IDs,
+      which WILL mismatch existing answers
 
     DANGEROUS OPERATIONS:
-    ✗ Reordering questions (breaks all existing responses)
-    ✗ Changing question IDs manually
-    ✗ Removing questions (orphans data but less severe than reordering)
-
-    RECOMMENDATIONS:
-    1. NEVER reorder questions after collecting responses
-    2. To "reorder" visually: add new questions and mark old ones deprecated
-    3. Consider versioning: export data BEFORE making structural changes
-    4. For new surveys, structure questions carefully before launch
-    5. Question IDs should be immutable UUIDs or timestamps, not sequential
-
-    CURRENT LIMITATION:
-    The markdown format doesn't preserve original question IDs, so parsing
-    ALWAYS regenerates IDs based on position. This is a design flaw that
-    makes question reordering destructive.
+    ✗ Changing or deleting {#id} annotations of answered questions
+    ✗ Reusing the ID of a removed question
+    ✗ Changing a question's type after responses exist
     """
     lines = markdown.split('\n')
     title = ''
     description = ''
     questions = []
+    sections = []
     current_section = 'header'
     question_id = 1
     description_lines = []
 
+    # Positional ids skip ids the author chose anywhere in the survey
+    explicit_ids = {m.group(1).strip() for m in (re.search(r'\s*\{#([^}]*)\}', l) for l in lines) if m}
+
     for line in lines:
         trimmed = line.strip()
 
@@ -287,22 +307,77 @@ def markdown_to_survey(markdown):
             description = ' '.join(description_lines).replace('  ', ' ').strip()
             continue
 
+        # Section headings split the questions into pages
+        if current_section == 'questions' and trimmed.startswith('### '):
+            sections.append({'title': trimmed[4:].strip(), 'description': '', 'questionIds': []})
+            continue
+
+        # Parse options of the preceding choice question (indented "- option" lines)
+        if (current_section == 'questions' and re.match(r'^\s+- ', line)
+                and questions and questions[-1]['type'] in CHOICE_TYPES):
+            questions[-1]['options'].append(trimmed[2:].strip())
+            continue
+
         # Parse questions
         if current_section == 'questions' and trimmed.startswith('- **'):
-            # Match: - **yes/no** text or - **text** text
-            import re
-            match = re.match(r'^- \*\*(yes\/no|text)\*\* (.+)$', trimmed)
+            # Match: - **type** text
+            match = re.match(r'^- \*\*([^*]+)\*\* (.+)$', trimmed)
             if match:
                 q_type_str, text = match.groups()
-                q_type = 'yes_no' if q_type_str == 'yes/no' else 'text'
-                questions.append({
-                    'id': f'q{question_id}',
-                    'type': q_type,
-                    'text': text.strip()
-                })
+                q_type_str = q_type_str.strip().lower()
+
+                # Author-defined id: {#slug}. Otherwise positional: every question advances
+                # the counter, and numbers used as explicit ids are skipped.
+                id_match = re.search(r'\s*\{#([^}]*)\}', text)
+                if id_match:
+                    q_id = id_match.group(1).strip()
+                    text = (text[:id_match.start()] + text[id_match.end():]).strip()
+                else:
+                    while f'q{question_id}' in explicit_ids:
+                        question_id += 1
+                    q_id = f'q{question_id}'
+
+                # Branching condition: [show if q2 = yes]
+                condition = re.search(r'\s*\[show if\s+(\S+)\s*(!=|>=|<=|=|>|<)\s*([^\]]+?)\s*\]', text, re.I)
+                if condition:
+                    text = (text[:condition.start()] + text[condition.end():]).strip()
+
+                # A trailing " *" marks the question as required and "(optional)" as optional
+                # (in either order; "(optional)" wins if both are given)
+                required = optional = False
+                for _ in range(2):
+                    if re.search(r'\s+\*$', text):
+                        required = True
+                        text = re.sub(r'\s+\*$', '', text).strip()
+                    if re.search(r'\s*\(optional\)$', text, re.I):
+                        optional = True
+                        text = re.sub(r'\s*\(optional\)$', '', text, flags=re.I).strip()
+                question = {'id': q_id, 'text': text.strip(), 'required': required and not optional}
+                if condition:
+                    question['condition'] = dict(zip(('questionId', 'operator', 'value'), condition.groups()))
+
+                scale = re.match(r'^scale\s+(-?\d+)\s*-\s*(-?\d+)$', q_type_str)
+                if scale:
+                    question.update(type='scale', min=int(scale.group(1)), max=int(scale.group(2)))
+                else:
+                    types = {keyword: key for key, keyword in QUESTION_TYPES.items()}
+                    if q_type_str not in types:
+                        raise ValueError(f"Unknown question type: {q_type_str}")
+                    question['type'] = types[q_type_str]
+                    if question['type'] in CHOICE_TYPES:
+                        question['options'] = []
+
+                questions.append(question)
+                if sections:
+                    sections[-1]['questionIds'].append(question['id'])
                 question_id += 1
             continue
 
+        # Text between a section heading and its first question describes the section
+        if current_section == 'questions' and sections and not sections[-1]['questionIds']:
+            sections[-1]['description'] = f"{sections[-1]['description']} {trimmed}".strip()
+            continue
+
         # Collect description
         if current_section == 'header' and not trimmed.startswith('#'):
             description_lines.append(trimmed)
@@ -311,11 +386,21 @@ def markdown_to_survey(markdown):
     if current_section == 'header':
         description = ' '.join(description_lines).replace('  ', ' ').strip()
 
-    return {
+    # Questions before the first heading form an untitled first section
+    sectioned_ids = {qid for section in sections for qid in section['questionIds']}
+    leading_ids = [q['id'] for q in questions if q['id'] not in sectioned_ids]
+    if sections and leading_ids:
+        sections.insert(0, {'title': '', 'description': '', 'questionIds': leading_ids})
+
+    survey = {
         'title': title,
         'description': description,
         'questions': questions
     }
+    if sections:
+        survey['sections'] = sections
+
+    return survey
 
 
 def main():
@@ -406,7 +491,11 @@ def main():
 
     # Parse edited markdown
     print("\nParsing edited survey...")
-    edited_survey = markdown_to_survey(edited_markdown)
+    try:
+        edited_survey = markdown_to_survey(edited_markdown)
+    except ValueError as e:
+        print(f"Error: {e}")
+        sys.exit(1)
 
     # Validate
     if not edited_survey['title']:
@@ -417,9 +506,26 @@ def main():
         print("Error: Survey must have at least one question")
         sys.exit(1)
 
+    ids = [q['id'] for q in edited_survey['questions']]
+    duplicates = sorted({qid for qid in ids if ids.count(qid) > 1})
+    if duplicates:
+        print(f"Error: Duplicate question IDs: {', '.join(duplicates)}")
+        sys.exit(1)
+
+    invalid = [qid for qid in ids if not re.match(r'^[a-z0-9][a-z0-9_-]{0,63}$', qid, re.I)]
+    if invalid:
+        print(f"Error: Invalid question IDs: {', '.join(invalid)}")
+        sys.exit(1)
+
     print(f"Title: {edited_survey['title']}")
     print(f"Questions: {len(edited_survey['questions'])}")
 
+    # Keep everything that is not part of the markdown (e.g. the response public key,
+    # otherwise new responses fall back to the survey key)
+    for field, value in survey_data.items():
+        if field not in ('title', 'description', 'questions', 'sections'):
+            edited_survey[field] = value
+
     # Re-encrypt
     print("\nRe-encrypting survey...")
     encrypted_list = encrypt_data(edited_survey, key)
@@ -432,7 +538,15 @@ def main():
     encrypted_bytes = bytes(encrypted_list)
     encrypted_hex = encrypted_bytes.hex()
 
-    update_sql = f"UPDATE surveys SET questions = X'{encrypted_hex}' WHERE id = '{args.survey_id}'"
+    # Store the edit as a new schema version, like the analysis page does
+    base_version = survey_row.get('schema_version') or 1
+    new_version = base_version + 1
+    update_sql = (
+        f"INSERT INTO survey_versions (survey_id, version, questions, created_at) "
+        f"VALUES ('{args.survey_id}', {new_version}, X'{encrypted_hex}', {int(time.time() * 1000)}); "
+        f"UPDATE surveys SET questions = X'{encrypted_hex}', schema_version = {new_version} "
+        f"WHERE id = '{args.survey_id}' AND schema_version = {base_version}"
+    )
 
     print("\n" + "="*80)
     print("DATABASE UPDATE REQUEST (NOT EXECUTED)")
@@ -446,6 +560,7 @@ def main():
          cloudflare_query(account_id, api_token, database_id, update_sql)
          print("\n✓ Survey updated successfully!")
          print(f"  Survey ID: {args.survey_id}")
+         print(f"  Version: {new_version}")
          print(f"  Title: {edited_survey['title']}")
          print(f"  Questions: {len(edited_survey['questions'])}")
     except Exception as e: